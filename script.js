@@ -1,1222 +1,7263 @@
-// IndexedDB Database Manager
-class DatabaseManager {
+// Local inverted index for ranked full-text search
+class SearchIndex {
     constructor() {
-        this.db = null;
-        this.dbName = 'MovieCollectionDB';
-        this.dbVersion = 1;
+        this.postings = new Map();  // token -> Map(movie id -> field weight)
+        this.documents = new Map(); // movie id -> { tokens, title }
+        this.isBuilt = false;
+        this.revision = 0;
+        // A title match beats a director match, then cast, then genre and tags
+        this.fieldWeights = { title: 3, original_title: 3, directors: 2, cast: 1.5, genres: 1, tags: 1 };
     }
 
-    // Initialize IndexedDB
-    async initDB() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
-
-            request.onerror = (event) => {
-                reject('Database error: ' + event.target.error);
-            };
-
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                console.log('Database initialized successfully');
-                resolve(this.db);
-            };
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Create movies store
-                if (!db.objectStoreNames.contains('movies')) {
-                    const movieStore = db.createObjectStore('movies', { keyPath: 'id', autoIncrement: false });
-                    movieStore.createIndex('title', 'title', { unique: false });
-                    movieStore.createIndex('year', 'year', { unique: false });
-                    movieStore.createIndex('genre', 'genre', { unique: false });
-                    movieStore.createIndex('director', 'director', { unique: false });
-                    movieStore.createIndex('created_at', 'created_at', { unique: false });
-                }
+    // Lowercase and fold diacritics ("Amélie" -> "amelie")
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
 
-                // Create settings store
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
-            };
-        });
+    // Split text into normalized word tokens (letters, marks and digits of any script)
+    static tokenize(text) {
+        return SearchIndex.normalize(text)
+            .split(/[^\p{L}\p{M}\p{N}]+/u)
+            .filter(token => token !== '');
     }
 
-    // Get all movies
-    async getAllMovies() {
-        // Validate database connection
-        if (!this.db) {
-            throw new Error('Database not initialized');
+    // Edit distance that gives up once it exceeds maxDistance
+    static editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
         }
 
-        const transaction = this.db.transaction(['movies'], 'readonly');
-        const store = transaction.objectStore('movies');
-        const request = store.getAll();
-
-        return new Promise((resolve, reject) => {
-            request.onsuccess = (event) => {
-                const movies = event.target.result;
-                console.log('📂 Retrieved', movies.length, 'movies from database');
-                resolve(movies || []); // Ensure we always return an array
-            };
-            request.onerror = (event) => {
-                console.error('❌ Database: Failed to get movies:', event.target.error);
-                reject(new Error('Gagal mengambil data film: ' + event.target.error.message));
-            };
-        });
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+            previous = current;
+        }
+        return previous[b.length];
     }
 
-    // Get movie by ID
-    async getMovie(id) {
-        const transaction = this.db.transaction(['movies'], 'readonly');
-        const store = transaction.objectStore('movies');
-        const request = store.get(id);
+    // Parse search syntax such as `director:nolan cast:pacino year:>2005 genre:drama tag:heist -horror`
+    // into a filters object; whatever is left becomes the free-text `search`.
+    static parseQuery(query) {
+        const filters = {};
+        const text = [];
+        const fieldAliases = {
+            title: 'title', judul: 'title',
+            director: 'director', sutradara: 'director',
+            cast: 'cast', pemeran: 'cast', pemain: 'cast',
+            genre: 'genre',
+            tag: 'tag',
+            year: 'year', tahun: 'year',
+            rating: 'rating',
+            status: 'status'
+        };
+        const pattern = /(-?)(?:([a-z]+):)?("([^"]*)"?|\S+)/gi;
+        let match;
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = (event) => resolve(event.target.result);
-            request.onerror = (event) => reject(event.target.error);
-        });
-    }
+        while ((match = pattern.exec(query || '')) !== null) {
+            const negate = match[1] === '-';
+            const rawField = match[2] ? match[2].toLowerCase() : null;
+            const field = rawField ? fieldAliases[rawField] : null;
+            const value = (match[4] !== undefined ? match[4] : match[3]).trim();
 
-    // Add movie
-    async addMovie(movie) {
-        console.log('💾 Database: Adding movie:', movie);
+            if (value === '') {
+                continue;
+            }
 
-        // Validate database connection
-        if (!this.db) {
-            throw new Error('Database not initialized');
-        }
+            // Unknown prefixes are searched as plain text
+            if (rawField && !field) {
+                text.push(`${rawField}:${value}`);
+                continue;
+            }
 
-        // Validate movie data
-        if (!movie || typeof movie !== 'object') {
-            throw new Error('Invalid movie data');
+            if (negate) {
+                filters.exclude = filters.exclude || [];
+                filters.exclude.push({ field, value });
+                continue;
+            }
+
+            switch (field) {
+                case 'title':
+                    filters.title = value;
+                    break;
+                case 'director':
+                    filters.director = value;
+                    break;
+                case 'cast':
+                    filters.cast = value;
+                    break;
+                case 'tag':
+                    filters.tag = value;
+                    break;
+                case 'genre':
+                    filters.genres = filters.genres || [];
+                    filters.genres.push(value.toLowerCase());
+                    filters.genreMode = 'and';
+                    break;
+                case 'year': {
+                    const range = SearchIndex.parseRange(value, true);
+                    if (range) {
+                        filters.yearRange = range;
+                    } else {
+                        text.push(value);
+                    }
+                    break;
+                }
+                case 'status':
+                    filters.status = value.toLowerCase();
+                    break;
+                case 'rating': {
+                    const range = SearchIndex.parseRange(value, false);
+                    if (range) {
+                        if (range[0] > -Infinity) filters.minRating = range[0];
+                        if (range[1] < Infinity) filters.maxRating = range[1];
+                    } else {
+                        text.push(value);
+                    }
+                    break;
+                }
+                default:
+                    text.push(value);
+            }
         }
 
-        // Ensure required fields
-        if (!movie.title || !movie.year || !movie.genre || !movie.director) {
-            throw new Error('Missing required fields: title, year, genre, director');
+        if (text.length > 0) {
+            filters.search = text.join(' ');
         }
+        return filters;
+    }
 
-        const transaction = this.db.transaction(['movies'], 'readwrite');
-        const store = transaction.objectStore('movies');
+    // Parse "2010", ">2005", "<=8", "2000..2010" or "2000-2010" into an inclusive [min, max]
+    static parseRange(value, integer) {
+        const number = integer ? '(\\d{4})' : '(\\d+(?:\\.\\d+)?)';
+        const step = integer ? 1 : 0.01;
+        const between = value.match(new RegExp(`^${number}\\s*(?:\\.\\.|-)\\s*${number}$`));
+        if (between) {
+            const [min, max] = [parseFloat(between[1]), parseFloat(between[2])].sort((a, b) => a - b);
+            return [min, max];
+        }
 
-        // Ensure movie has ID
-        if (!movie.id) {
-            movie.id = Date.now();
+        const compare = value.match(new RegExp(`^(>=|<=|>|<|=)?${number}$`));
+        if (!compare) {
+            return null;
         }
 
-        // Add timestamps
-        movie.created_at = new Date().toISOString();
-        movie.updated_at = new Date().toISOString();
+        const n = parseFloat(compare[2]);
+        switch (compare[1]) {
+            case '>': return [n + step, Infinity];
+            case '>=': return [n, Infinity];
+            case '<': return [-Infinity, n - step];
+            case '<=': return [-Infinity, n];
+            default: return [n, n];
+        }
+    }
 
-        console.log('🆔 Movie ID:', movie.id, 'Timestamp:', movie.created_at);
+    // Rebuild the whole index from a list of movies
+    build(movies) {
+        this.postings.clear();
+        this.documents.clear();
+        movies.forEach(movie => this.add(movie));
+        this.isBuilt = true;
+        this.revision++;
+    }
 
-        const request = store.add(movie);
+    // Index one movie
+    add(movie) {
+        const tokens = new Map();
+        Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+            SearchIndex.tokenize(movie[field]).forEach(token => {
+                tokens.set(token, Math.max(tokens.get(token) || 0, weight));
+            });
+        });
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = (event) => {
-                console.log('✅ Database: Movie added successfully, result:', event.target.result);
-                resolve(event.target.result);
-            };
-            request.onerror = (event) => {
-                console.error('❌ Database: Failed to add movie:', event.target.error);
+        tokens.forEach((weight, token) => {
+            if (!this.postings.has(token)) {
+                this.postings.set(token, new Map());
+            }
+            this.postings.get(token).set(movie.id, weight);
+        });
 
-                // Handle specific errors
-                if (event.target.error.name === 'ConstraintError') {
-                    reject(new Error('Movie dengan ID ini sudah ada'));
-                } else if (event.target.error.name === 'QuotaExceededError') {
-                    reject(new Error('Storage penuh. Hapus beberapa film atau data lainnya'));
-                } else {
-                    reject(new Error('Gagal menyimpan film: ' + event.target.error.message));
-                }
-            };
+        this.documents.set(movie.id, {
+            tokens: Array.from(tokens.keys()),
+            title: SearchIndex.normalize(movie.title).trim()
         });
+        this.revision++;
     }
 
-    // Update movie
-    async updateMovie(id, updates) {
-        const transaction = this.db.transaction(['movies'], 'readwrite');
-        const store = transaction.objectStore('movies');
-
-        // Get existing movie
-        const getRequest = store.get(id);
-
-        return new Promise((resolve, reject) => {
-            getRequest.onsuccess = (event) => {
-                const movie = event.target.result;
-                if (movie) {
-                    Object.assign(movie, updates);
-                    movie.updated_at = new Date().toISOString();
-                    const updateRequest = store.put(movie);
-                    updateRequest.onsuccess = () => resolve(movie);
-                    updateRequest.onerror = (event) => reject(event.target.error);
-                } else {
-                    reject(new Error('Movie not found'));
+    // Remove one movie from the index
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) return;
+
+        document.tokens.forEach(token => {
+            const posting = this.postings.get(token);
+            if (posting) {
+                posting.delete(id);
+                if (posting.size === 0) {
+                    this.postings.delete(token);
                 }
-            };
-            getRequest.onerror = (event) => reject(event.target.error);
+            }
         });
+        this.documents.delete(id);
+        this.revision++;
     }
 
-    // Delete movie
-    async deleteMovie(id) {
-        const transaction = this.db.transaction(['movies'], 'readwrite');
-        const store = transaction.objectStore('movies');
-        const request = store.delete(id);
+    // Re-index a changed movie
+    update(movie) {
+        this.remove(movie.id);
+        this.add(movie);
+    }
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = () => resolve(true);
-            request.onerror = (event) => reject(event.target.error);
-        });
+    // Drop everything
+    clear() {
+        this.postings.clear();
+        this.documents.clear();
+        this.revision++;
     }
 
-    // Search movies with advanced filtering
-    async searchMovies(filters = {}) {
-        const transaction = this.db.transaction(['movies'], 'readonly');
-        const store = transaction.objectStore('movies');
-        const request = store.getAll();
+    // Best match quality of a query token against an indexed token
+    matchQuality(queryToken, token) {
+        if (token === queryToken) {
+            return 1;
+        }
+        if (queryToken.length >= 2 && token.startsWith(queryToken)) {
+            return 0.7;
+        }
+        // Chinese, Japanese and Thai are written without spaces, so a phrase is one long token
+        if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u.test(queryToken) && token.includes(queryToken)) {
+            return 0.7;
+        }
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = (event) => {
-                let movies = event.target.result;
-
-                // Apply filters
-                if (filters.search) {
-                    const query = filters.search.toLowerCase();
-                    movies = movies.filter(movie =>
-                        movie.title.toLowerCase().includes(query) ||
-                        movie.genre.toLowerCase().includes(query) ||
-                        movie.director.toLowerCase().includes(query)
-                    );
-                }
+        // Typo tolerance grows with the word length
+        const maxDistance = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+        if (maxDistance > 0) {
+            const distance = SearchIndex.editDistance(queryToken, token, maxDistance);
+            if (distance <= maxDistance) {
+                return 0.5 - (distance - 1) * 0.15;
+            }
+        }
+        return 0;
+    }
 
-                if (filters.genre && filters.genre !== 'all') {
-                    movies = movies.filter(movie =>
-                        movie.genre.toLowerCase().includes(filters.genre.toLowerCase())
-                    );
-                }
+    // Score every movie that matches all query words; returns Map(movie id -> score)
+    search(query) {
+        const queryTokens = SearchIndex.tokenize(query);
+        if (queryTokens.length === 0) {
+            return new Map();
+        }
 
-                if (filters.year) {
-                    movies = movies.filter(movie => movie.year === parseInt(filters.year));
-                }
+        let scores = null;
+        queryTokens.forEach(queryToken => {
+            const tokenScores = new Map();
+            this.postings.forEach((posting, token) => {
+                const quality = this.matchQuality(queryToken, token);
+                if (quality === 0) return;
 
-                if (filters.yearRange) {
-                    const [min, max] = filters.yearRange;
-                    movies = movies.filter(movie => movie.year >= min && movie.year <= max);
-                }
+                posting.forEach((weight, id) => {
+                    tokenScores.set(id, Math.max(tokenScores.get(id) || 0, quality * weight));
+                });
+            });
 
-                if (filters.director) {
-                    movies = movies.filter(movie =>
-                        movie.director.toLowerCase().includes(filters.director.toLowerCase())
-                    );
-                }
+            // Every query word has to match somewhere
+            if (scores === null) {
+                scores = tokenScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, id) => {
+                    if (tokenScores.has(id)) {
+                        combined.set(id, score + tokenScores.get(id));
+                    }
+                });
+                scores = combined;
+            }
+        });
 
-                // Apply sorting
-                if (filters.sortBy) {
-                    movies.sort((a, b) => {
-                        switch(filters.sortBy) {
-                            case 'title-asc':
-                                return a.title.localeCompare(b.title);
-                            case 'title-desc':
-                                return b.title.localeCompare(a.title);
-                            case 'year-asc':
-                                return a.year - b.year;
-                            case 'year-desc':
-                                return b.year - a.year;
-                            case 'created-asc':
-                                return new Date(a.created_at) - new Date(b.created_at);
-                            case 'created-desc':
-                                return new Date(b.created_at) - new Date(a.created_at);
-                            default:
-                                return 0;
-                        }
-                    });
-                }
+        // Bonus for titles that equal or start with the whole query
+        const phrase = SearchIndex.normalize(query).trim();
+        scores.forEach((score, id) => {
+            const title = this.documents.get(id).title;
+            if (title === phrase) {
+                scores.set(id, score + 5);
+            } else if (title.startsWith(phrase)) {
+                scores.set(id, score + 2);
+            }
+        });
 
-                // Apply pagination
-                if (filters.offset || filters.limit) {
-                    const offset = filters.offset || 0;
-                    const limit = filters.limit || 50;
-                    movies = movies.slice(offset, offset + limit);
-                }
+        return scores;
+    }
+}
 
-                resolve(movies);
-            };
-            request.onerror = (event) => reject(event.target.error);
+// RFC 4180 CSV reading and writing
+class CsvFormat {
+    // Guess the delimiter from the header line (spreadsheets with a comma decimal separator use ";")
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const counts = [',', ';', '\t'].map(delimiter => {
+            let count = 0;
+            let inQuotes = false;
+            for (const char of firstLine) {
+                if (char === '"') inQuotes = !inQuotes;
+                else if (char === delimiter && !inQuotes) count++;
+            }
+            return [delimiter, count];
         });
+        counts.sort((a, b) => b[1] - a[1]);
+        return counts[0][1] > 0 ? counts[0][0] : ',';
     }
 
-    // Get statistics
-    async getStats() {
-        const movies = await this.getAllMovies();
+    // Parse CSV text into an array of rows (arrays of strings)
+    static parse(text, delimiter = null) {
+        text = String(text).replace(/^\uFEFF/, '');
+        delimiter = delimiter || CsvFormat.detectDelimiter(text);
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') {
+                        // Escaped quote inside a quoted field
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
 
-        const stats = {
-            totalMovies: movies.length,
-            genres: {},
-            years: {},
-            directors: {}
-        };
+        if (inQuotes) {
+            throw new Error('Tanda kutip tidak ditutup');
+        }
 
-        movies.forEach(movie => {
-            // Count genres
-            movie.genre.split(',').forEach(genre => {
-                const g = genre.trim();
-                stats.genres[g] = (stats.genres[g] || 0) + 1;
-            });
+        // Last record without a trailing line break
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
 
-            // Count years
-            stats.years[movie.year] = (stats.years[movie.year] || 0) + 1;
+        // Drop blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
 
-            // Count directors
-            stats.directors[movie.director] = (stats.directors[movie.director] || 0) + 1;
-        });
+    // Whether Excel and Sheets would treat the cell text as a formula. Leading apostrophes are
+    // looked past, so a value that already starts with one is escaped again and reads back as is.
+    static isFormula(text) {
+        return /^'*[=+\-@\t\r]/.test(text);
+    }
 
-        return stats;
+    // Quote a field only when it contains a delimiter, quote or line break. Text that a
+    // spreadsheet would run as a formula (=, +, -, @, tab, CR) gets a leading apostrophe.
+    static escapeField(value, delimiter = ',') {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && CsvFormat.isFormula(text)) {
+            text = `'${text}`;
+        }
+        if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
     }
 
-    // Save setting
-    async saveSetting(key, value) {
-        const transaction = this.db.transaction(['settings'], 'readwrite');
-        const store = transaction.objectStore('settings');
-        const request = store.put({ key, value, updated_at: new Date().toISOString() });
+    // Remove the apostrophe escapeField put in front of a formula-like cell. Only for files this
+    // app wrote: elsewhere a leading apostrophe can be part of the value.
+    static unescapeField(cell) {
+        return cell.startsWith("'") && CsvFormat.isFormula(cell.slice(1)) ? cell.slice(1) : cell;
+    }
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = () => resolve(true);
-            request.onerror = (event) => reject(event.target.error);
-        });
+    // Turn an array of rows into CSV text with CRLF line breaks
+    static stringify(rows, delimiter = ',') {
+        return rows
+            .map(row => row.map(value => CsvFormat.escapeField(value, delimiter)).join(delimiter))
+            .join('\r\n') + '\r\n';
     }
+}
 
-    // Get setting
-    async getSetting(key) {
-        const transaction = this.db.transaction(['settings'], 'readonly');
-        const store = transaction.objectStore('settings');
-        const request = store.get(key);
+// Movie metadata source used to auto-fill the add form
+// search() resolves to [{ id, title, year, poster }], getDetails() to the movie fields it knows:
+// { title, original_title, year, genres, directors, cast, runtime, language, country, imdb_id, tmdb_id, poster }
+class MetadataProvider {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || '';
+    }
 
-        return new Promise((resolve, reject) => {
-            request.onsuccess = (event) => {
-                const result = event.target.result;
-                resolve(result ? result.value : null);
-            };
-            request.onerror = (event) => reject(event.target.error);
-        });
+    // Remote providers need a network connection
+    get isRemote() {
+        return true;
     }
 
-    // Clear all data
-    async clearAll() {
-        const movieTransaction = this.db.transaction(['movies'], 'readwrite');
-        const movieStore = movieTransaction.objectStore('movies');
-        const movieRequest = movieStore.clear();
+    async search(query, options = {}) {
+        throw new Error('search() not implemented');
+    }
+
+    async getDetails(id) {
+        throw new Error('getDetails() not implemented');
+    }
 
-        const settingsTransaction = this.db.transaction(['settings'], 'readwrite');
-        const settingsStore = settingsTransaction.objectStore('settings');
-        const settingsRequest = settingsStore.clear();
+    // Fetch JSON and turn HTTP errors into exceptions
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+}
 
-        return new Promise((resolve, reject) => {
-            let completed = 0;
-            const total = 2;
+// The Movie Database (api.themoviedb.org/3)
+class TmdbProvider extends MetadataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = 'https://api.themoviedb.org/3';
+        this.imageUrl = 'https://image.tmdb.org/t/p';
+    }
 
-            movieRequest.onsuccess = () => {
-                completed++;
-                if (completed === total) resolve(true);
-            };
+    posterUrl(path, size = 'w500') {
+        return path ? `${this.imageUrl}/${size}${path}` : '';
+    }
 
-            settingsRequest.onsuccess = () => {
-                completed++;
-                if (completed === total) resolve(true);
-            };
+    async search(query, options = {}) {
+        const params = new URLSearchParams({ api_key: this.apiKey, query, include_adult: 'false' });
+        if (options.year) params.set('year', options.year);
+
+        const data = await this.fetchJson(`${this.baseUrl}/search/movie?${params}`);
+        return (data.results || []).map(result => ({
+            id: result.id,
+            title: result.title,
+            year: parseInt(result.release_date) || null,
+            poster: this.posterUrl(result.poster_path, 'w92')
+        }));
+    }
 
-            [movieRequest, settingsRequest].forEach(request => {
-                request.onerror = (event) => reject(event.target.error);
-            });
-        });
+    async getDetails(id) {
+        const params = new URLSearchParams({ api_key: this.apiKey, append_to_response: 'credits' });
+        const data = await this.fetchJson(`${this.baseUrl}/movie/${encodeURIComponent(id)}?${params}`);
+        const credits = data.credits || {};
+        const directors = (credits.crew || [])
+            .filter(member => member.job === 'Director')
+            .map(member => member.name);
+
+        return {
+            title: data.title,
+            original_title: data.original_title && data.original_title !== data.title ? data.original_title : '',
+            year: parseInt(data.release_date) || null,
+            genres: (data.genres || []).map(genre => genre.name),
+            directors,
+            cast: (credits.cast || []).slice(0, 5).map(member => member.name),
+            runtime: data.runtime || null,
+            language: ((data.spoken_languages || [])[0] || {}).english_name || data.original_language || '',
+            country: (data.production_countries || []).map(country => country.name).join(', '),
+            imdb_id: data.imdb_id || '',
+            tmdb_id: String(data.id ?? id),
+            poster: this.posterUrl(data.poster_path)
+        };
     }
 }
 
-// Movie Collection Manager
-class MovieManager {
-    constructor() {
-        this.db = new DatabaseManager();
-        this.movies = [];
-        this.currentFilter = 'all';
-        this.searchQuery = '';
-        this.init();
+// OMDb (www.omdbapi.com), keyed by IMDb id
+class OmdbProvider extends MetadataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseUrl = 'https://www.omdbapi.com/';
     }
 
-    async init() {
-        try {
-            // Initialize database
-            await this.db.initDB();
+    // OMDb uses "N/A" for missing values
+    value(text) {
+        return text && text !== 'N/A' ? text : '';
+    }
 
-            // Check if we need to migrate from localStorage
-            await this.migrateFromLocalStorage();
+    async search(query, options = {}) {
+        const params = new URLSearchParams({ apikey: this.apiKey, s: query, type: 'movie' });
+        if (options.year) params.set('y', options.year);
 
-            // Load data
-            await this.loadMovies();
+        const data = await this.fetchJson(`${this.baseUrl}?${params}`);
+        if (data.Response === 'False') {
+            // "Movie not found!" is an empty result, anything else is an error
+            if (/not found/i.test(data.Error || '')) return [];
+            throw new Error(data.Error || 'OMDb error');
+        }
 
-            // Setup UI
-            this.setupEventListeners();
-            this.displayMovies();
-            this.updateGenreFilter();
-            this.updateMovieCount();
+        return (data.Search || []).map(result => ({
+            id: result.imdbID,
+            title: result.Title,
+            year: parseInt(result.Year) || null,
+            poster: this.value(result.Poster)
+        }));
+    }
 
-        } catch (error) {
-            console.error('Initialization error:', error);
-            this.showNotification('Failed to initialize application', 'error');
+    async getDetails(id) {
+        const params = new URLSearchParams({ apikey: this.apiKey, i: id });
+        const data = await this.fetchJson(`${this.baseUrl}?${params}`);
+        if (data.Response === 'False') {
+            throw new Error(data.Error || 'OMDb error');
         }
+
+        return {
+            title: data.Title,
+            year: parseInt(data.Year) || null,
+            genres: DatabaseManager.splitList(this.value(data.Genre)),
+            directors: DatabaseManager.splitList(this.value(data.Director)),
+            cast: DatabaseManager.splitList(this.value(data.Actors)),
+            runtime: parseInt(this.value(data.Runtime)) || null,
+            language: this.value(data.Language),
+            country: this.value(data.Country),
+            imdb_id: data.imdbID,
+            poster: this.value(data.Poster)
+        };
     }
+}
 
-    // Migrate data from localStorage to IndexedDB
-    async migrateFromLocalStorage() {
-        const localStorageData = localStorage.getItem('myMovies');
+// Offline provider backed by a bundled JSON file, for development and tests
+class FixtureProvider extends MetadataProvider {
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'metadata-fixtures.json';
+        this.movies = options.movies || null;
+    }
 
-        if (localStorageData) {
-            try {
-                const movies = JSON.parse(localStorageData);
+    get isRemote() {
+        return false;
+    }
 
-                // Check if database already has data
-                const existingMovies = await this.db.getAllMovies();
+    async loadMovies() {
+        if (!this.movies) {
+            const data = await this.fetchJson(this.url);
+            this.movies = Array.isArray(data) ? data : data.movies || [];
+        }
+        return this.movies;
+    }
 
-                if (existingMovies.length === 0 && movies.length > 0) {
-                    // Migrate to IndexedDB
-                    for (const movie of movies) {
-                        await this.db.addMovie(movie);
-                    }
+    async search(query, options = {}) {
+        const tokens = SearchIndex.tokenize(query);
+        const movies = await this.loadMovies();
+
+        return movies
+            .filter(movie => {
+                const titleTokens = SearchIndex.tokenize(movie.title);
+                return tokens.every(token => titleTokens.some(titleToken => titleToken.startsWith(token)));
+            })
+            .filter(movie => !options.year || movie.year === parseInt(options.year))
+            .map(movie => ({ id: movie.id, title: movie.title, year: movie.year, poster: movie.poster || '' }));
+    }
 
-                    console.log(`Migrated ${movies.length} movies from localStorage to IndexedDB`);
-                    this.showNotification(`Successfully migrated ${movies.length} movies to new database system`, 'success');
-                }
+    async getDetails(id) {
+        const movies = await this.loadMovies();
+        const movie = movies.find(m => String(m.id) === String(id));
+        if (!movie) {
+            throw new Error(`Film ${id} tidak ada di fixture`);
+        }
 
-                // Clear localStorage after migration
-                localStorage.removeItem('myMovies');
+        const { id: fixtureId, ...details } = movie;
+        return { ...details, poster: movie.poster || '' };
+    }
+}
 
-            } catch (error) {
-                console.error('Migration error:', error);
-                this.showNotification('Failed to migrate existing data', 'error');
-            }
-        }
+// Undo/redo stack; each entry is one user action, however many records it touched
+class UndoManager {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isBusy = false;
+        this.onChange = null;
     }
 
-    // Load movies from IndexedDB
-    async loadMovies() {
-        try {
-            console.log('📂 Loading movies from database...');
+    get canUndo() {
+        return !this.isBusy && this.undoStack.length > 0;
+    }
 
-            // Validate database is initialized
-            if (!this.db || !this.db.db) {
-                throw new Error('Database not initialized');
-            }
+    get canRedo() {
+        return !this.isBusy && this.redoStack.length > 0;
+    }
 
-            const movies = await this.db.getAllMovies();
+    // entry = { label, undo: async () => {}, redo: async () => {} }
+    push(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new action makes the undone ones unreachable
+        this.redoStack = [];
+        this.notify();
+    }
 
-            // Validate loaded data
-            if (!Array.isArray(movies)) {
-                console.error('❌ Invalid data format received from database:', movies);
-                this.movies = [];
-                throw new Error('Invalid data format from database');
-            }
+    async undo() {
+        return this.run(this.undoStack, this.redoStack, 'undo');
+    }
 
-            this.movies = movies.filter(movie => {
-                // Filter out invalid movie entries
-                return movie &&
-                       typeof movie === 'object' &&
-                       movie.id &&
-                       movie.title;
-            });
+    async redo() {
+        return this.run(this.redoStack, this.undoStack, 'redo');
+    }
 
-            console.log('📊 Loaded', this.movies.length, 'valid movies from database');
-            console.log('🎬 Movie data sample:', this.movies.slice(0, 3)); // Show first 3 movies
+    // Move an entry between the stacks only when its step succeeded
+    async run(from, to, step) {
+        if (this.isBusy || from.length === 0) return null;
 
-            // Trigger display update if we're in the browser context
-            if (typeof document !== 'undefined') {
-                this.displayMovies();
-            }
+        const entry = from.pop();
+        this.isBusy = true;
+        this.notify();
 
+        try {
+            await entry[step]();
+            to.push(entry);
+            return entry;
         } catch (error) {
-            console.error('❌ Error loading movies:', error);
-            this.movies = [];
+            // The data no longer matches this entry; drop it rather than retry forever
+            console.error(`Failed to ${step}:`, entry.label, error);
+            throw error;
+        } finally {
+            this.isBusy = false;
+            this.notify();
+        }
+    }
 
-            // Show notification only if in browser context
-            if (typeof document !== 'undefined') {
-                this.showNotification('Gagal memuat film: ' + error.message, 'error');
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
 
-                // Ensure empty state is shown
-                this.displayMovies([]);
-            }
-        }
+    notify() {
+        if (this.onChange) this.onChange();
+    }
+}
+
+// A movie record that breaks the schema; errors lists every { field, message }
+class ValidationError extends Error {
+    constructor(errors) {
+        super(errors[0] ? errors[0].message : 'Data film tidak valid');
+        this.name = 'ValidationError';
+        this.errors = errors;
     }
+}
 
-    // Save movie to IndexedDB
-    async saveMovieToDB(movie) {
-        try {
-            const existingMovie = await this.db.getMovie(movie.id);
-            if (existingMovie) {
-                return await this.db.updateMovie(movie.id, movie);
-            } else {
-                return await this.db.addMovie(movie);
-            }
-        } catch (error) {
-            console.error('Error saving movie:', error);
-            throw error;
-        }
+// Declarative description of a movie record. normalize() cleans values (trim, number
+// coercion, list splitting, genre casing, URL cleanup); validate() checks the rules and
+// returns localized messages. Fields a record doesn't have are left out, lists become [].
+class MovieSchema {
+    constructor({ statuses = ['wishlist', 'plan', 'watching', 'watched', 'dropped'] } = {}) {
+        this.fields = {
+            title: { type: 'string', label: 'Judul film', required: true },
+            original_title: { type: 'string', label: 'Judul asli' },
+            year: {
+                type: 'integer', label: 'Tahun', required: true, min: 1900, max: 2030,
+                messages: { required: 'Tahun harus antara 1900-2030!', type: 'Tahun harus antara 1900-2030!' }
+            },
+            genres: { type: 'list', label: 'Genre film', required: true, casing: 'capitalize' },
+            directors: { type: 'list', label: 'Sutradara', required: true, messages: { required: 'Nama sutradara wajib diisi!' } },
+            cast: { type: 'list', label: 'Pemeran' },
+            runtime: {
+                type: 'integer', label: 'Durasi', min: 1, max: 1000,
+                messages: { type: 'Durasi harus antara 1-1000 menit!', range: 'Durasi harus antara 1-1000 menit!' }
+            },
+            language: { type: 'string', label: 'Bahasa' },
+            country: { type: 'string', label: 'Negara' },
+            tags: { type: 'list', label: 'Tag' },
+            imdb_id: { type: 'string', label: 'IMDb ID', pattern: /^tt\d{7,}$/, messages: { pattern: 'IMDb ID harus berformat tt1234567!' } },
+            tmdb_id: { type: 'string', label: 'TMDB ID', pattern: /^\d+$/, messages: { pattern: 'TMDB ID harus berupa angka!' } },
+            poster: { type: 'url', label: 'URL poster' },
+            rating: { type: 'number', label: 'Rating', min: 0, max: 10 },
+            review: { type: 'string', label: 'Ulasan' },
+            rewatch: { type: 'boolean', label: 'Tonton ulang' },
+            status: { type: 'enum', label: 'Status', values: statuses, default: 'watched' }
+        };
     }
 
-    // Setup real-time form validation - NEW FUNCTION
-    setupRealTimeValidation() {
-        console.log('⚡ Setting up real-time validation...');
+    // Names of the fields of one type, e.g. 'list'
+    fieldsOfType(type) {
+        return Object.keys(this.fields).filter(name => this.fields[name].type === type);
+    }
 
-        // Title validation
-        const titleInput = document.getElementById('title');
-        titleInput.addEventListener('input', (e) => {
-            const value = e.target.value.trim();
-            if (value.length === 0) {
-                this.setFieldValidation(titleInput, false, 'Judul film wajib diisi');
-            } else if (value.length < 2) {
-                this.setFieldValidation(titleInput, false, 'Judul minimal 2 karakter');
-            } else {
-                this.setFieldValidation(titleInput, true, 'Valid');
-            }
+    // Clean the fields of a record in place and return it
+    normalize(movie) {
+        Object.entries(this.fields).forEach(([name, field]) => {
+            if (movie[name] === undefined && field.type !== 'list' && field.default === undefined) return;
+            movie[name] = this.normalizeValue(field, movie[name]);
         });
+        return movie;
+    }
 
-        // Year validation
-        const yearInput = document.getElementById('year');
-        yearInput.addEventListener('input', (e) => {
-            const value = parseInt(e.target.value);
-            if (isNaN(value)) {
-                this.setFieldValidation(yearInput, false, 'Tahun harus angka');
-            } else if (value < 1900 || value > 2030) {
-                this.setFieldValidation(yearInput, false, 'Tahun harus 1900-2030');
-            } else {
-                this.setFieldValidation(yearInput, true, 'Valid');
+    normalizeValue(field, value) {
+        switch (field.type) {
+            case 'string':
+                return String(value ?? '').trim();
+            case 'integer':
+            case 'number': {
+                const text = String(value ?? '').trim();
+                if (text === '') return null;
+                // Accept "8,5" from spreadsheets with a comma decimal separator
+                const number = typeof value === 'number' ? value : Number(text.replace(',', '.'));
+                return Number.isNaN(number) ? text : number;
             }
-        });
-
-        // Genre validation
-        const genreInput = document.getElementById('genre');
-        genreInput.addEventListener('input', (e) => {
-            const value = e.target.value.trim();
-            if (value.length === 0) {
-                this.setFieldValidation(genreInput, false, 'Genre wajib diisi');
-            } else {
-                this.setFieldValidation(genreInput, true, 'Valid');
+            case 'list': {
+                const items = DatabaseManager.splitList(value);
+                return field.casing === 'capitalize'
+                    ? items.map(item => item.charAt(0).toUpperCase() + item.slice(1))
+                    : items;
             }
-        });
-
-        // Director validation
-        const directorInput = document.getElementById('director');
-        directorInput.addEventListener('input', (e) => {
-            const value = e.target.value.trim();
-            if (value.length === 0) {
-                this.setFieldValidation(directorInput, false, 'Sutradara wajib diisi');
-            } else if (value.length < 2) {
-                this.setFieldValidation(directorInput, false, 'Nama minimal 2 karakter');
-            } else {
-                this.setFieldValidation(directorInput, true, 'Valid');
+            case 'url':
+                return this.cleanUrl(value);
+            case 'boolean':
+                return value === true || ['true', 'ya', 'yes', '1', 'y'].includes(String(value ?? '').trim().toLowerCase());
+            case 'enum': {
+                const option = String(value ?? '').trim().toLowerCase();
+                return field.values.includes(option) ? option : field.default;
             }
-        });
+            default:
+                return value;
+        }
+    }
 
-        // Poster URL validation (optional)
-        const posterInput = document.getElementById('poster');
-        posterInput.addEventListener('input', (e) => {
-            const value = e.target.value.trim();
-            if (value === '') {
-                this.setFieldValidation(posterInput, true, 'Opsional'); // Empty is valid
-            } else if (!this.isValidUrl(value)) {
-                this.setFieldValidation(posterInput, false, 'URL tidak valid');
-            } else {
-                this.setFieldValidation(posterInput, true, 'URL valid');
-            }
-        });
+    // Trim, drop wrapping quotes or <>, encode spaces and add https: to //host and www. links
+    cleanUrl(value) {
+        let url = String(value ?? '').trim().replace(/^["'<]+|[">']+$/g, '').trim();
+        if (url === '') return null;
+        if (url.startsWith('//')) url = `https:${url}`;
+        else if (/^www\./i.test(url)) url = `https://${url}`;
+        return url.replace(/ /g, '%20');
     }
 
-    // Set field validation state - NEW FUNCTION
-    setFieldValidation(input, isValid, message) {
-        if (isValid) {
-            input.classList.remove('invalid');
-            input.classList.add('valid');
-            input.style.borderColor = '#4CAF50';
-            input.title = message;
-        } else {
-            input.classList.remove('valid');
-            input.classList.add('invalid');
-            input.style.borderColor = '#f44336';
-            input.title = message;
+    // Message for one field value, or null when it is valid
+    validateField(name, value) {
+        const field = this.fields[name];
+        if (!field) return null;
+
+        const message = (rule, fallback) => (field.messages && field.messages[rule]) || fallback;
+        const empty = value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+        if (empty) {
+            return field.required ? message('required', `${field.label} wajib diisi!`) : null;
         }
+
+        switch (field.type) {
+            case 'integer':
+            case 'number':
+                if (typeof value !== 'number' || Number.isNaN(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+                    return message('type', `${field.label} harus berupa angka!`);
+                }
+                if ((field.min !== undefined && value < field.min) || (field.max !== undefined && value > field.max)) {
+                    return message('range', `${field.label} harus antara ${field.min}-${field.max}!`);
+                }
+                break;
+            case 'url':
+                if (!this.isValidUrl(value)) {
+                    return message('url', `${field.label} harus berupa alamat http(s) yang valid!`);
+                }
+                break;
+            case 'string':
+                if (field.pattern && !field.pattern.test(value)) {
+                    return message('pattern', `${field.label} tidak valid!`);
+                }
+                break;
+        }
+        return null;
     }
 
-    // Validate URL format - NEW FUNCTION
-    isValidUrl(string) {
+    isValidUrl(value) {
+        // Data URLs are allowed for posters embedded in older exports
+        if (/^data:image\//i.test(value)) return true;
         try {
-            new URL(string);
-            return true;
+            return ['http:', 'https:'].includes(new URL(value).protocol);
         } catch (_) {
             return false;
         }
     }
 
-    // Validate image URL - NEW FUNCTION
-    isValidImageUrl(url) {
-        if (!url || typeof url !== 'string') return false;
+    // Every failed rule of a normalized record, as [{ field, message }]
+    validate(movie) {
+        const errors = [];
+        if (!movie || typeof movie !== 'object') {
+            return [{ field: null, message: 'Data film tidak valid' }];
+        }
+        Object.keys(this.fields).forEach(name => {
+            const message = this.validateField(name, movie[name]);
+            if (message) errors.push({ field: name, message });
+        });
+        return errors;
+    }
 
-        // Check if it's a valid URL
-        if (!this.isValidUrl(url)) return false;
+    // Normalize a record in place and throw a ValidationError when it breaks the schema
+    parse(movie) {
+        if (!movie || typeof movie !== 'object') {
+            throw new ValidationError(this.validate(movie));
+        }
+        const errors = this.validate(this.normalize(movie));
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        return movie;
+    }
+}
 
-        // Check if it's an image file extension
-        const imageExtensions = /\.(jpg|jpeg|png|gif|bmp|webp)(\?.*)?$/i;
-        return imageExtensions.test(url) ||
-               url.includes('amazon.com/images/') ||
-               url.includes('imdb.com/title/') ||
-               url.includes('themoviedb.org/t/p/') ||
-               url.includes('image.tmdb.org/') ||
-               url.includes('movieposter.db');
+// IndexedDB Database Manager
+class DatabaseManager {
+    constructor() {
+        this.db = null;
+        this.dbName = 'MovieCollectionDB';
+        this.dbVersion = 10;
+        this.searchIndex = new SearchIndex();
+        this.searchCache = { key: null, scores: null };
+        this.movieStatuses = ['wishlist', 'plan', 'watching', 'watched', 'dropped'];
+        // Every movie written to the database is normalized and validated against this schema
+        this.movieSchema = new MovieSchema({ statuses: this.movieStatuses });
+        // Fields of a schema v2 movie record that hold arrays of names
+        this.listFields = this.movieSchema.fieldsOfType('list');
+        // Movie fields compared for the edit history
+        this.historyFields = Object.keys(this.movieSchema.fields);
+        // Operations per transaction in bulkWrite
+        this.bulkChunkSize = 100;
+        // Change notifications between tabs that have the collection open
+        this.channel = null;
+        this.onRemoteChange = null;  // (change) => void, change = { store, action, ids }
+        this.onVersionChange = null; // another tab upgraded the database, this connection is closed
+        this.closed = false;         // true once closed for an upgrade; only a reload opens it again
+        this.onBlocked = null;       // (isBlocked) => void, an older tab keeps the upgrade waiting
     }
 
-    // Handle problematic image URLs - NEW FUNCTION
-    addProxyIfNeeded(url) {
-        try {
-            const urlObj = new URL(url);
+    // Initialize IndexedDB
+    async initDB() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
 
-            // List of domains that commonly cause tracking prevention issues
-            const problematicDomains = [
-                'amazon.com',
-                'imdb.com',
-                'facebook.com',
-                'instagram.com',
-                'twitter.com'
-            ];
+            request.onerror = (event) => {
+                reject('Database error: ' + event.target.error);
+            };
 
-            // For problematic domains, add cache-busting and better headers
-            if (problematicDomains.some(domain => urlObj.hostname.includes(domain))) {
-                // Add cache busting to avoid tracking prevention
-                const separator = url.includes('?') ? '&' : '?';
-                return `${url}${separator}t=${Date.now()}`;
-            }
+            // Another tab still has an older version open; the upgrade waits until it closes
+            request.onblocked = () => {
+                console.warn('⏳ Database upgrade blocked by another tab');
+                if (this.onBlocked) this.onBlocked(true);
+            };
 
-            return url;
-        } catch (e) {
-            console.warn('Invalid URL for processing:', url);
-            return url;
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+
+                // A newer tab wants to upgrade: close so it isn't blocked by this one
+                this.db.onversionchange = () => {
+                    console.warn('🔒 Database upgraded by another tab, closing connection');
+                    this.db.close();
+                    this.db = null;
+                    this.closed = true;
+                    if (this.onVersionChange) this.onVersionChange();
+                };
+
+                if (this.onBlocked) this.onBlocked(false);
+                this.openChannel();
+                console.log('Database initialized successfully');
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                console.log(`🔧 Upgrading database from v${event.oldVersion} to v${event.newVersion}`);
+                this.upgradeSchema(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
+    }
+
+    // Listen for changes made by other tabs
+    openChannel() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(`${this.dbName}-changes`);
+        this.channel.onmessage = (event) => this.handleRemoteChange(event.data);
+    }
+
+    // Start a transaction; fails with a clear message once the connection was closed
+    transaction(storeNames, mode = 'readonly') {
+        if (!this.db) {
+            throw new Error(this.closed
+                ? 'Database diperbarui di tab lain. Muat ulang halaman ini untuk melanjutkan.'
+                : 'Database not initialized');
         }
+        return this.db.transaction(storeNames, mode);
     }
 
-    // Generate movie poster with robust error handling - NEW FUNCTION
-    generateMoviePoster(movie) {
-        if (!movie.poster || !this.isValidImageUrl(movie.poster)) {
-            return '<div class="no-poster">🎬</div>';
+    // Tell other tabs which records changed; this tab never receives its own messages
+    broadcastChange(store, action, ids = []) {
+        if (!this.channel) return;
+
+        try {
+            this.channel.postMessage({ store, action, ids });
+        } catch (error) {
+            console.warn('⚠️ Failed to broadcast change:', error);
         }
+    }
+
+    // Keep the search index in step with another tab's writes, then let the UI react
+    async handleRemoteChange(change) {
+        if (!change || !change.store || !this.db) return;
 
         try {
-            // Process URL for better loading
-            const processedUrl = this.addProxyIfNeeded(movie.poster);
+            if (change.store === 'movies' && this.searchIndex.isBuilt) {
+                if (change.action === 'delete') {
+                    change.ids.forEach(id => this.searchIndex.remove(id));
+                } else if (change.action === 'put') {
+                    const movies = await Promise.all(change.ids.map(id => this.getMovie(id)));
+                    movies.forEach((movie, i) => {
+                        if (movie) {
+                            this.searchIndex.update(movie);
+                        } else {
+                            this.searchIndex.remove(change.ids[i]);
+                        }
+                    });
+                }
+            }
 
-            return `<img src="${processedUrl}"
-                     alt="${this.escapeHtml(movie.title)}"
-                     loading="lazy"
-                     onerror="this.parentElement.classList.add('no-poster'); this.remove(); console.warn('❌ Failed to load poster:', '${this.escapeHtml(processedUrl)}');"
-                     onload="this.parentElement.classList.remove('no-poster'); console.log('✅ Poster loaded successfully:', '${this.escapeHtml(movie.title)}');">`;
-        } catch (e) {
-            console.warn('⚠️ Error processing poster URL:', movie.poster, e);
-            return '<div class="no-poster">🎬</div>';
+            // Everything was replaced (restore); rebuild the index on the next search
+            if (change.action === 'clear') {
+                this.searchIndex.clear();
+                this.searchIndex.isBuilt = false;
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to apply remote change to the search index:', error);
+        }
+
+        if (this.onRemoteChange) {
+            this.onRemoteChange(change);
         }
     }
 
-    // Setup event listeners
-    setupEventListeners() {
-        console.log('🔧 Setting up event listeners...');
+    // Versioned schema migrations, each step runs once for databases older than its version
+    upgradeSchema(db, transaction, oldVersion) {
+        // v1: movies and settings stores
+        if (oldVersion < 1) {
+            const movieStore = db.createObjectStore('movies', { keyPath: 'id', autoIncrement: false });
+            movieStore.createIndex('title', 'title', { unique: false });
+            movieStore.createIndex('year', 'year', { unique: false });
+            movieStore.createIndex('genre', 'genre', { unique: false });
+            movieStore.createIndex('director', 'director', { unique: false });
+            movieStore.createIndex('created_at', 'created_at', { unique: false });
+
+            db.createObjectStore('settings', { keyPath: 'key' });
+        }
 
-        // Add movie button
-        const addBtn = document.getElementById('addMovieBtn');
-        if (addBtn) {
-            addBtn.addEventListener('click', () => {
-                console.log('➕ Add movie button clicked');
-                this.openModal();
-            });
+        // v2: rating index so top rated queries can use a cursor
+        if (oldVersion < 2) {
+            const movieStore = transaction.objectStore('movies');
+            if (!movieStore.indexNames.contains('rating')) {
+                movieStore.createIndex('rating', 'rating', { unique: false });
+            }
         }
 
-        // Modal close
-        const closeBtn = document.querySelector('.close');
-        if (closeBtn) {
-            closeBtn.addEventListener('click', () => {
-                console.log('❌ Close button clicked');
-                this.closeModal();
-            });
+        // v3: multiEntry index of normalized genre tokens (backfilled by the v10 record rewrite)
+        if (oldVersion < 3) {
+            const movieStore = transaction.objectStore('movies');
+            movieStore.createIndex('genre_tokens', 'genre_tokens', { unique: false, multiEntry: true });
         }
 
-        // Cancel button
-        const cancelBtn = document.querySelector('.cancel-btn');
-        if (cancelBtn) {
-            cancelBtn.addEventListener('click', () => {
-                console.log('🚫 Cancel button clicked');
-                this.closeModal();
-            });
+        // v4: watch status per movie and a separate viewings log
+        if (oldVersion < 4) {
+            const movieStore = transaction.objectStore('movies');
+            // Everything already in the collection counts as watched (set by the v10 record rewrite)
+            movieStore.createIndex('status', 'status', { unique: false });
+
+            const viewingStore = db.createObjectStore('viewings', { keyPath: 'id', autoIncrement: true });
+            viewingStore.createIndex('movie_id', 'movie_id', { unique: false });
+            viewingStore.createIndex('watched_at', 'watched_at', { unique: false });
         }
 
-        // Form submit
-        const movieForm = document.getElementById('movieForm');
-        if (movieForm) {
-            movieForm.addEventListener('submit', (e) => {
-                console.log('📋 Form submit triggered!');
-                console.log('📋 Form elements:', {
-                    title: document.getElementById('title').value,
-                    year: document.getElementById('year').value,
-                    genre: document.getElementById('genre').value,
-                    director: document.getElementById('director').value,
-                    poster: document.getElementById('poster').value,
-                    movieId: document.getElementById('movieId').value
+        // v5: downloaded or uploaded poster images, one record per movie
+        if (oldVersion < 5) {
+            db.createObjectStore('posters', { keyPath: 'movie_id' });
+        }
+
+        // v6: trash bin holding deleted movies with their viewings and poster
+        if (oldVersion < 6) {
+            const trashStore = db.createObjectStore('trash', { keyPath: 'id', autoIncrement: true });
+            trashStore.createIndex('deleted_at', 'deleted_at', { unique: false });
+        }
+
+        // v7: audit log of every change to a movie, with field-level diffs
+        if (oldVersion < 7) {
+            const historyStore = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+            historyStore.createIndex('movie_id', 'movie_id', { unique: false });
+            historyStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        // v8: user-defined ordered lists of movie ids; a movie can be in several lists
+        if (oldVersion < 8) {
+            const listStore = db.createObjectStore('lists', { keyPath: 'id', autoIncrement: true });
+            listStore.createIndex('name', 'name', { unique: false });
+            listStore.createIndex('movie_ids', 'movie_ids', { unique: false, multiEntry: true });
+        }
+
+        // v9: schema v2 movie records; comma-joined genre and director strings become arrays
+        // (the records themselves are converted by the v10 record rewrite)
+        if (oldVersion < 9) {
+            const movieStore = transaction.objectStore('movies');
+            movieStore.deleteIndex('genre');
+            movieStore.deleteIndex('director');
+        }
+
+        // v10: movie ids become UUID strings. Date.now() ids collided when several movies were
+        // added in the same millisecond. Every movie record is rewritten once here, which also
+        // backfills the fields added by v3, v4 and v9.
+        if (oldVersion < 10) {
+            this.remapMovieIds(transaction);
+        }
+    }
+
+    // Collision-free movie id (a random RFC 4122 version 4 UUID)
+    generateId() {
+        if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+
+        // randomUUID only exists in secure contexts; build the same format by hand elsewhere
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // Give every numeric movie id a UUID and rewrite each record that refers to it: viewings,
+    // posters, lists, trash entries, history and ignored duplicate groups. Runs inside the
+    // upgrade transaction, so a failure leaves the old database untouched.
+    remapMovieIds(transaction) {
+        const newIds = new Map();
+        const remap = (id) => {
+            if (typeof id !== 'number') return id;
+            if (!newIds.has(id)) newIds.set(id, this.generateId());
+            return newIds.get(id);
+        };
+        const eachRecord = (storeName, rewrite) => {
+            transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor) {
+                    rewrite(cursor, cursor.value);
+                    cursor.continue();
+                }
+            };
+        };
+
+        // Movies and posters are keyed by the movie id, so records move to a new key.
+        // String keys sort after numbers, so the cursor reaches the moved records last.
+        eachRecord('movies', (cursor, movie) => {
+            const record = this.prepareMovieRecord(movie);
+            if (typeof record.id === 'number') {
+                cursor.delete();
+                cursor.source.add({ ...record, id: remap(record.id) });
+            } else {
+                cursor.update(record);
+            }
+        });
+        eachRecord('posters', (cursor, poster) => {
+            if (typeof poster.movie_id !== 'number') return;
+            cursor.delete();
+            cursor.source.put({ ...poster, movie_id: remap(poster.movie_id) });
+        });
+
+        eachRecord('viewings', (cursor, viewing) => {
+            cursor.update({ ...viewing, movie_id: remap(viewing.movie_id) });
+        });
+        eachRecord('lists', (cursor, list) => {
+            cursor.update({ ...list, movie_ids: list.movie_ids.map(remap) });
+        });
+        eachRecord('history', (cursor, entry) => {
+            const snapshot = { ...entry.snapshot, id: remap(entry.snapshot.id) };
+            cursor.update({ ...entry, movie_id: remap(entry.movie_id), snapshot });
+        });
+        eachRecord('trash', (cursor, entry) => {
+            const record = { ...entry, movie: { ...entry.movie, id: remap(entry.movie.id) } };
+            record.viewings = (entry.viewings || []).map(viewing => ({ ...viewing, movie_id: remap(viewing.movie_id) }));
+            if (entry.poster) record.poster = { ...entry.poster, movie_id: remap(entry.poster.movie_id) };
+            if (entry.merged_into !== undefined) record.merged_into = remap(entry.merged_into);
+            cursor.update(record);
+        });
+
+        // Ignored duplicate groups are stored as "id|id" keys
+        const settingsStore = transaction.objectStore('settings');
+        const request = settingsStore.get('ignoredDuplicates');
+        request.onsuccess = () => {
+            if (!request.result) return;
+            const keys = (request.result.value || []).map(key => key.split('|')
+                .map(part => /^\d+$/.test(part) ? remap(Number(part)) : part)
+                .sort()
+                .join('|'));
+            settingsStore.put({ ...request.result, value: keys });
+        };
+    }
+
+    // Split "Drama, Crime" (or an array) into trimmed names without empty or repeated entries
+    static splitList(value) {
+        const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;|]/);
+        const seen = new Set();
+        return items
+            .map(item => String(item ?? '').trim())
+            .filter(item => {
+                const key = item.toLowerCase();
+                if (!item || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // Bring a movie record to schema v2. Records from older databases, backups, exports
+    // and the trash carry genre and director as comma-joined strings.
+    upgradeMovieRecord(movie) {
+        if (movie.genres === undefined && movie.genre !== undefined) movie.genres = movie.genre;
+        if (movie.directors === undefined && movie.director !== undefined) movie.directors = movie.director;
+        delete movie.genre;
+        delete movie.director;
+        movie.schema_version = 2;
+        return movie;
+    }
+
+    // Normalize a record and fill in the derived fields that only exist to support indexed
+    // queries. Migrations use this directly: they clean old records but never drop them.
+    prepareMovieRecord(movie) {
+        this.upgradeMovieRecord(movie);
+        this.movieSchema.normalize(movie);
+        movie.genre_tokens = this.getGenreTokens(movie.genres);
+        return movie;
+    }
+
+    // prepareMovieRecord for a write; throws a ValidationError instead of storing a bad record
+    checkMovieRecord(movie) {
+        if (!movie || typeof movie !== 'object') {
+            throw new ValidationError([{ field: null, message: 'Data film tidak valid' }]);
+        }
+        return this.movieSchema.parse(this.prepareMovieRecord(movie));
+    }
+
+    // Field-level differences between two versions of a movie, as { field: { from, to } }
+    diffMovies(before, after) {
+        const normalize = (value) => value === undefined || value === '' || (Array.isArray(value) && value.length === 0) ? null : value;
+        const changes = {};
+
+        this.historyFields.forEach(field => {
+            const from = normalize(before ? before[field] : null);
+            const to = normalize(after ? after[field] : null);
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes[field] = { from, to };
+            }
+        });
+        return changes;
+    }
+
+    // Append a history entry inside the caller's transaction (which must include 'history').
+    // action is add, update, delete or restore; updates that change nothing are not logged.
+    logHistory(transaction, { action, before = null, after = null, source = 'form' }) {
+        const changes = this.diffMovies(before, after);
+        if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+        // The snapshot is the version after the change (the removed version for a delete)
+        const { genre_tokens, ...snapshot } = after || before;
+        return transaction.objectStore('history').add({
+            movie_id: snapshot.id,
+            action,
+            source,
+            changes,
+            snapshot,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // History entries of one movie, newest first
+    async getMovieHistory(movieId) {
+        const transaction = this.transaction(['history'], 'readonly');
+        const index = transaction.objectStore('history').index('movie_id');
+        const entries = await this.promisifyRequest(index.getAll(IDBKeyRange.only(movieId)));
+        return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id - a.id);
+    }
+
+    // Wrap an IDBRequest in a promise
+    promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Get all movies
+    async getAllMovies() {
+        const transaction = this.transaction(['movies'], 'readonly');
+        const store = transaction.objectStore('movies');
+        const request = store.getAll();
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = (event) => {
+                const movies = event.target.result;
+                console.log('📂 Retrieved', movies.length, 'movies from database');
+                resolve(movies || []); // Ensure we always return an array
+            };
+            request.onerror = (event) => {
+                console.error('❌ Database: Failed to get movies:', event.target.error);
+                reject(new Error('Gagal mengambil data film: ' + event.target.error.message));
+            };
+        });
+    }
+
+    // Get movie by ID
+    async getMovie(id) {
+        const transaction = this.transaction(['movies'], 'readonly');
+        const store = transaction.objectStore('movies');
+        const request = store.get(id);
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Add movie; options.source and options.action describe the change in the history
+    async addMovie(movie, options = {}) {
+        console.log('💾 Database: Adding movie:', movie);
+
+        // Normalize and validate against the movie schema
+        this.checkMovieRecord(movie);
+
+        const transaction = this.transaction(['movies', 'history'], 'readwrite');
+        const store = transaction.objectStore('movies');
+
+        // Ensure movie has ID
+        if (!movie.id) {
+            movie.id = this.generateId();
+        }
+
+        // Add timestamps (restored and imported movies keep their original dates)
+        movie.created_at = movie.created_at || new Date().toISOString();
+        movie.updated_at = movie.updated_at || movie.created_at;
+
+        console.log('🆔 Movie ID:', movie.id, 'Timestamp:', movie.created_at);
+
+        const request = store.add(movie);
+        this.logHistory(transaction, { action: options.action || 'add', after: movie, source: options.source });
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = (event) => {
+                console.log('✅ Database: Movie added successfully, result:', event.target.result);
+                if (this.searchIndex.isBuilt) this.searchIndex.update(movie);
+                this.broadcastChange('movies', 'put', [movie.id]);
+                resolve(event.target.result);
+            };
+            request.onerror = (event) => {
+                console.error('❌ Database: Failed to add movie:', event.target.error);
+
+                // Handle specific errors
+                if (event.target.error.name === 'ConstraintError') {
+                    reject(new Error('Movie dengan ID ini sudah ada'));
+                } else if (event.target.error.name === 'QuotaExceededError') {
+                    reject(new Error('Storage penuh. Hapus beberapa film atau data lainnya'));
+                } else {
+                    reject(new Error('Gagal menyimpan film: ' + event.target.error.message));
+                }
+            };
+        });
+    }
+
+    // Update movie
+    async updateMovie(id, updates, options = {}) {
+        const transaction = this.transaction(['movies', 'history'], 'readwrite');
+        const store = transaction.objectStore('movies');
+
+        // Get existing movie
+        const getRequest = store.get(id);
+
+        return new Promise((resolve, reject) => {
+            getRequest.onsuccess = (event) => {
+                const movie = event.target.result;
+                if (movie) {
+                    const before = { ...movie };
+                    Object.assign(movie, updates);
+                    movie.updated_at = new Date().toISOString();
+                    try {
+                        this.checkMovieRecord(movie);
+                    } catch (error) {
+                        transaction.abort();
+                        reject(error);
+                        return;
+                    }
+                    const updateRequest = store.put(movie);
+                    this.logHistory(transaction, { action: 'update', before, after: movie, source: options.source });
+                    updateRequest.onsuccess = () => {
+                        if (this.searchIndex.isBuilt) this.searchIndex.update(movie);
+                        this.broadcastChange('movies', 'put', [movie.id]);
+                        resolve(movie);
+                    };
+                    updateRequest.onerror = (event) => reject(event.target.error);
+                } else {
+                    reject(new Error('Movie not found'));
+                }
+            };
+            getRequest.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Add a movie or update the stored one in a single readwrite transaction, so the
+    // existence check and the write can't interleave with a save from another tab.
+    // Resolves to { before, after }; before is null when the movie was added.
+    async upsertMovie(movie, options = {}) {
+        const transaction = this.transaction(['movies', 'history'], 'readwrite');
+        const store = transaction.objectStore('movies');
+        const id = movie.id || this.generateId();
+        let result = null;
+        let failure = null;
+
+        const request = store.get(id);
+        request.onsuccess = () => {
+            const before = request.result || null;
+            const now = new Date().toISOString();
+            const record = before
+                ? { ...before, ...movie, id, updated_at: now }
+                : { ...movie, id, created_at: movie.created_at || now, updated_at: movie.updated_at || movie.created_at || now };
+            try {
+                this.checkMovieRecord(record);
+            } catch (error) {
+                failure = error;
+                transaction.abort();
+                return;
+            }
+            store.put(record);
+            this.logHistory(transaction, { action: before ? 'update' : (options.action || 'add'), before, after: record, source: options.source });
+            result = { before, after: record };
+        };
+
+        try {
+            await this.transactionComplete(transaction);
+        } catch (error) {
+            if (error && error.name === 'QuotaExceededError') {
+                throw new Error('Storage penuh. Hapus beberapa film atau data lainnya');
+            }
+            throw failure || error;
+        }
+
+        if (this.searchIndex.isBuilt) this.searchIndex.update(result.after);
+        this.broadcastChange('movies', 'put', [id]);
+        return result;
+    }
+
+    // Delete movie together with its viewing history and stored poster
+    async deleteMovie(id, options = {}) {
+        const transaction = this.transaction(['movies', 'viewings', 'posters', 'history', 'lists'], 'readwrite');
+        const store = transaction.objectStore('movies');
+        const getRequest = store.get(id);
+        getRequest.onsuccess = () => {
+            if (getRequest.result) {
+                this.logHistory(transaction, { action: 'delete', before: getRequest.result, source: options.source });
+            }
+            store.delete(id);
+        };
+        transaction.objectStore('posters').delete(id);
+
+        const viewingIndex = transaction.objectStore('viewings').index('movie_id');
+        viewingIndex.openKeyCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                transaction.objectStore('viewings').delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+
+        // Drop the movie from every list that contains it
+        const listIndex = transaction.objectStore('lists').index('movie_ids');
+        listIndex.openCursor(IDBKeyRange.only(id)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.update({ ...cursor.value, movie_ids: cursor.value.movie_ids.filter(movieId => movieId !== id) });
+                cursor.continue();
+            }
+        };
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => {
+                this.searchIndex.remove(id);
+                this.broadcastChange('movies', 'delete', [id]);
+                this.broadcastChange('lists', 'put', []);
+                resolve(true);
+            };
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Wait for a readwrite transaction to commit
+    transactionComplete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Write many records in chunks, one readwrite transaction per chunk, so a large import or
+    // restore doesn't hold one huge transaction and options.onProgress(done, total) can update
+    // a progress bar between chunks. operations are { type: 'add' | 'put' | 'delete' | 'clear',
+    // store, value, key }. Movie records are staged first: all of them are validated before
+    // anything is written, and each movie write is logged to the history with options.source
+    // and options.action. Every committed chunk keeps a journal of the records it replaced;
+    // if a later chunk fails, the journal is played back, so either everything is written or
+    // nothing is. Add operations get the key they were written under in operation.key.
+    async bulkWrite(operations, options = {}) {
+        const chunkSize = options.chunkSize || this.bulkChunkSize;
+        const now = new Date().toISOString();
+        const staged = operations.map(operation => {
+            if (operation.store !== 'movies' || (operation.type !== 'add' && operation.type !== 'put')) return operation;
+            const movie = this.checkMovieRecord({ ...operation.value });
+            movie.id = movie.id || this.generateId();
+            movie.created_at = movie.created_at || now;
+            movie.updated_at = movie.updated_at || movie.created_at;
+            return { ...operation, value: movie };
+        });
+
+        const journal = [];
+        const changed = { movies: [], deleted: [], stores: new Set(), cleared: false };
+        try {
+            for (let start = 0; start < staged.length; start += chunkSize) {
+                const chunk = staged.slice(start, start + chunkSize);
+                journal.push(...await this.writeBulkChunk(chunk, options, changed));
+                if (options.onProgress) options.onProgress(Math.min(start + chunkSize, staged.length), staged.length);
+            }
+        } catch (error) {
+            console.error('❌ Bulk write failed, rolling back:', error);
+            try {
+                await this.rollbackBulkWrite(journal, chunkSize);
+            } catch (rollbackError) {
+                console.error('❌ Rollback failed:', rollbackError);
+                const failure = new Error('Gagal menyimpan dan gagal membatalkan perubahan: ' + rollbackError.message);
+                failure.rollbackFailed = true;
+                throw failure;
+            }
+            if (error && error.name === 'QuotaExceededError') {
+                throw new Error('Storage penuh. Hapus beberapa film atau data lainnya');
+            }
+            throw error;
+        }
+
+        // Other tabs reload everything after a clear, or just the changed records
+        if (changed.cleared || changed.movies.length + changed.deleted.length > 0) {
+            this.searchIndex.clear();
+            this.searchIndex.isBuilt = false;
+        }
+        if (changed.cleared) {
+            this.broadcastChange('all', 'clear');
+        } else {
+            if (changed.movies.length) this.broadcastChange('movies', 'put', changed.movies);
+            if (changed.deleted.length) this.broadcastChange('movies', 'delete', changed.deleted);
+            ['viewings', 'posters', 'settings', 'lists'].forEach(store => {
+                if (changed.stores.has(store)) this.broadcastChange(store, 'put', []);
+            });
+        }
+        return staged;
+    }
+
+    // One bulkWrite chunk in one transaction; resolves to the journal of what it replaced.
+    // Each write is issued after reading the record it replaces, and reads run in the order
+    // they were issued, so the writes keep the order of the operations. A read can run before
+    // an earlier write of the same chunk, so the records written (or cleared) so far are
+    // tracked and take the place of the stale read.
+    async writeBulkChunk(chunk, options, changed) {
+        const stores = new Set(chunk.map(operation => operation.store));
+        if (stores.has('movies')) stores.add('history');
+        const transaction = this.transaction(Array.from(stores), 'readwrite');
+        const journal = [];
+        const written = new Map();
+        const cleared = new Set();
+
+        chunk.forEach(operation => {
+            const store = transaction.objectStore(operation.store);
+
+            if (operation.type === 'clear') {
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    journal.push({ store: operation.store, records: request.result });
+                    store.clear();
+                    cleared.add(operation.store);
+                    Array.from(written.keys())
+                        .filter(writtenKey => writtenKey.startsWith(`${operation.store}|`))
+                        .forEach(writtenKey => written.delete(writtenKey));
+                };
+                return;
+            }
+
+            const key = operation.type === 'delete' ? operation.key : operation.value[store.keyPath];
+            const write = (read) => {
+                const writtenKey = `${operation.store}|${key}`;
+                const previous = written.has(writtenKey) ? written.get(writtenKey)
+                    : cleared.has(operation.store) ? undefined
+                    : read;
+                if (key !== undefined) written.set(writtenKey, operation.type === 'delete' ? undefined : operation.value);
+
+                const request = operation.type === 'delete' ? store.delete(key)
+                    : operation.type === 'add' ? store.add(operation.value)
+                    : store.put(operation.value);
+                request.onsuccess = () => {
+                    if (operation.type === 'add') operation.key = request.result;
+                    journal.push({ store: operation.store, key: request.result ?? key, previous });
+                };
+
+                if (operation.store === 'movies') {
+                    const historyRequest = operation.type === 'delete'
+                        ? previous && this.logHistory(transaction, { action: 'delete', before: previous, source: options.source })
+                        : this.logHistory(transaction, {
+                            action: previous ? 'update' : (options.action || 'add'),
+                            before: previous || null,
+                            after: operation.value,
+                            source: options.source
+                        });
+                    if (historyRequest) {
+                        historyRequest.onsuccess = () => journal.push({ store: 'history', key: historyRequest.result });
+                    }
+                }
+            };
+
+            // Auto-increment records without a key can't replace anything, but still wait for a
+            // request so they are written after the earlier operations (a clear above all)
+            const request = key === undefined ? store.count() : store.get(key);
+            request.onsuccess = () => write(key === undefined ? undefined : request.result);
+        });
+
+        await this.transactionComplete(transaction);
+
+        chunk.forEach(operation => {
+            changed.stores.add(operation.store);
+            if (operation.type === 'clear') changed.cleared = true;
+            if (operation.store !== 'movies') return;
+            if (operation.type === 'delete') {
+                changed.deleted.push(operation.key);
+            } else if (operation.type !== 'clear') {
+                changed.movies.push(operation.value.id);
+            }
+        });
+        return journal;
+    }
+
+    // Undo committed bulkWrite chunks, newest change first
+    async rollbackBulkWrite(journal, chunkSize) {
+        for (let end = journal.length; end > 0; end -= chunkSize) {
+            const entries = journal.slice(Math.max(0, end - chunkSize), end).reverse();
+            const transaction = this.transaction(Array.from(new Set(entries.map(entry => entry.store))), 'readwrite');
+
+            entries.forEach(entry => {
+                const store = transaction.objectStore(entry.store);
+                if (entry.records) {
+                    entry.records.forEach(record => store.put(record));
+                } else if (entry.previous === undefined) {
+                    store.delete(entry.key);
+                } else {
+                    store.put(entry.previous);
+                }
+            });
+
+            await this.transactionComplete(transaction);
+        }
+    }
+
+    // Write complete movie records as they are (used to undo and redo edits).
+    // Every record is validated first, so one bad record writes nothing.
+    async putMovies(movies, options = {}) {
+        const records = movies.map(movie => this.checkMovieRecord({ ...movie }));
+        const transaction = this.transaction(['movies', 'history'], 'readwrite');
+        const store = transaction.objectStore('movies');
+        records.forEach(record => {
+            const request = store.get(record.id);
+            request.onsuccess = () => {
+                store.put(record);
+                this.logHistory(transaction, {
+                    action: request.result ? 'update' : 'add',
+                    before: request.result,
+                    after: record,
+                    source: options.source
+                });
+            };
+        });
+
+        await this.transactionComplete(transaction);
+        if (this.searchIndex.isBuilt) records.forEach(record => this.searchIndex.update(record));
+        this.broadcastChange('movies', 'put', records.map(record => record.id));
+    }
+
+    // Apply the same change to several movies in one transaction. update(movie) edits the
+    // record in place and may throw; the transaction is then aborted so no movie is changed.
+    // Resolves to the before and after records of the movies that actually changed.
+    async updateMovies(ids, update, options = {}) {
+        const transaction = this.transaction(['movies', 'history'], 'readwrite');
+        const store = transaction.objectStore('movies');
+        const updatedAt = new Date().toISOString();
+        const before = [];
+        const after = [];
+        let failure = null;
+
+        ids.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (failure || !request.result) return;
+
+                const movie = { ...request.result };
+                try {
+                    update(movie);
+                    this.checkMovieRecord(movie);
+                } catch (error) {
+                    failure = error;
+                    transaction.abort();
+                    return;
+                }
+
+                if (Object.keys(this.diffMovies(request.result, movie)).length === 0) return;
+
+                movie.updated_at = updatedAt;
+                store.put(movie);
+                this.logHistory(transaction, { action: 'update', before: request.result, after: movie, source: options.source });
+                before.push(request.result);
+                after.push(movie);
+            };
+        });
+
+        try {
+            await this.transactionComplete(transaction);
+        } catch (error) {
+            throw failure || error;
+        }
+
+        if (this.searchIndex.isBuilt) after.forEach(movie => this.searchIndex.update(movie));
+        this.broadcastChange('movies', 'put', after.map(movie => movie.id));
+        return { before, after };
+    }
+
+    // Move movies with their viewings and poster into the trash, all in one transaction.
+    // Resolves to the ids of the new trash records.
+    async trashMovies(ids, options = {}) {
+        const transaction = this.transaction(['movies', 'viewings', 'posters', 'trash', 'history', 'lists'], 'readwrite');
+        const movieStore = transaction.objectStore('movies');
+        const viewingStore = transaction.objectStore('viewings');
+        const posterStore = transaction.objectStore('posters');
+        const trashStore = transaction.objectStore('trash');
+        const listStore = transaction.objectStore('lists');
+        const deletedAt = new Date().toISOString();
+        const trashIds = [];
+        const trashedIds = [];
+        // Lists edited in this transaction; later reads of the same list would be stale
+        const editedLists = new Map();
+
+        ids.forEach(id => {
+            const movieRequest = movieStore.get(id);
+            const viewingsRequest = viewingStore.index('movie_id').getAll(IDBKeyRange.only(id));
+            const listsRequest = listStore.index('movie_ids').getAll(IDBKeyRange.only(id));
+            const posterRequest = posterStore.get(id);
+
+            // Requests finish in order, so the others are done when the poster arrives
+            posterRequest.onsuccess = () => {
+                const movie = movieRequest.result;
+                if (!movie) return;
+
+                // Remember each list position so a restore puts the movie back in place
+                const memberships = listsRequest.result.map(found => {
+                    const list = editedLists.get(found.id) || found;
+                    const position = list.movie_ids.indexOf(id);
+                    const updated = { ...list, movie_ids: list.movie_ids.filter(movieId => movieId !== id) };
+                    editedLists.set(list.id, updated);
+                    listStore.put(updated);
+                    return { list_id: list.id, position };
+                }).filter(membership => membership.position !== -1);
+
+                const viewings = viewingsRequest.result;
+                const addRequest = trashStore.add({
+                    movie,
+                    viewings,
+                    poster: posterRequest.result || null,
+                    lists: memberships,
+                    reason: options.reason || 'delete',
+                    deleted_at: deletedAt
+                });
+                addRequest.onsuccess = () => trashIds.push(addRequest.result);
+                this.logHistory(transaction, { action: 'delete', before: movie, source: options.source });
+
+                movieStore.delete(id);
+                posterStore.delete(id);
+                viewings.forEach(viewing => viewingStore.delete(viewing.id));
+                trashedIds.push(id);
+            };
+        });
+
+        await this.transactionComplete(transaction);
+        trashedIds.forEach(id => this.searchIndex.remove(id));
+        this.broadcastChange('movies', 'delete', trashedIds);
+        if (editedLists.size > 0) this.broadcastChange('lists', 'put', Array.from(editedLists.keys()));
+        return trashIds;
+    }
+
+    // The bulkWrite operations that move movies to the trash like trashMovies does, so a bulk
+    // write can remove them together with its other changes and roll the removal back. The
+    // trash records are added first; their operation.key is the trash id after the write.
+    async getTrashOperations(ids, options = {}) {
+        const transaction = this.transaction(['movies', 'viewings', 'posters', 'lists'], 'readonly');
+        const found = [];
+
+        ids.forEach(id => {
+            const movieRequest = transaction.objectStore('movies').get(id);
+            const viewingsRequest = transaction.objectStore('viewings').index('movie_id').getAll(IDBKeyRange.only(id));
+            const listsRequest = transaction.objectStore('lists').index('movie_ids').getAll(IDBKeyRange.only(id));
+            const posterRequest = transaction.objectStore('posters').get(id);
+            posterRequest.onsuccess = () => {
+                if (!movieRequest.result) return;
+                found.push({ movie: movieRequest.result, viewings: viewingsRequest.result, poster: posterRequest.result || null, lists: listsRequest.result });
+            };
+        });
+        await this.transactionComplete(transaction);
+
+        const deletedAt = new Date().toISOString();
+        const editedLists = new Map();
+        const trashOperations = [];
+        const deleteOperations = [];
+        found.forEach(({ movie, viewings, poster, lists }) => {
+            // List positions are taken one movie after another, as trashMovies does
+            const memberships = lists.map(list => {
+                const current = editedLists.get(list.id) || list;
+                const position = current.movie_ids.indexOf(movie.id);
+                editedLists.set(list.id, { ...current, movie_ids: current.movie_ids.filter(movieId => movieId !== movie.id) });
+                return { list_id: list.id, position };
+            }).filter(membership => membership.position !== -1);
+
+            trashOperations.push({ type: 'add', store: 'trash', value: {
+                movie,
+                viewings,
+                poster,
+                lists: memberships,
+                reason: options.reason || 'delete',
+                deleted_at: deletedAt
+            } });
+            deleteOperations.push(
+                { type: 'delete', store: 'movies', key: movie.id },
+                { type: 'delete', store: 'posters', key: movie.id },
+                ...viewings.map(viewing => ({ type: 'delete', store: 'viewings', key: viewing.id }))
+            );
+        });
+
+        const listOperations = Array.from(editedLists.values()).map(list => ({ type: 'put', store: 'lists', value: list }));
+        return [...trashOperations, ...deleteOperations, ...listOperations];
+    }
+
+    // Put trashed movies back with their viewings and poster, in one transaction. The movies
+    // were stored before they were trashed, so they are only normalized, not validated again:
+    // a record from before a schema rule was added still comes back.
+    async restoreFromTrash(trashIds, options = {}) {
+        const transaction = this.transaction(['movies', 'viewings', 'posters', 'trash', 'history', 'lists'], 'readwrite');
+        const trashStore = transaction.objectStore('trash');
+        const listStore = transaction.objectStore('lists');
+        const restored = [];
+        const editedLists = new Map();
+
+        // Newest first, so list positions recorded one after another line up again
+        trashIds.slice().reverse().forEach(trashId => {
+            const request = trashStore.get(trashId);
+            request.onsuccess = () => {
+                const record = request.result;
+                if (!record) return;
+
+                this.prepareMovieRecord(record.movie);
+                transaction.objectStore('movies').put(record.movie);
+                this.logHistory(transaction, { action: 'restore', after: record.movie, source: options.source || 'trash' });
+                record.viewings.forEach(viewing => transaction.objectStore('viewings').put(viewing));
+                if (record.poster) {
+                    transaction.objectStore('posters').put(record.poster);
+                }
+                (record.lists || []).forEach(({ list_id, position }) => {
+                    const listRequest = listStore.get(list_id);
+                    listRequest.onsuccess = () => {
+                        const list = editedLists.get(list_id) || listRequest.result;
+                        if (!list || list.movie_ids.includes(record.movie.id)) return;
+
+                        const movieIds = list.movie_ids.slice();
+                        movieIds.splice(Math.min(position, movieIds.length), 0, record.movie.id);
+                        const updated = { ...list, movie_ids: movieIds };
+                        editedLists.set(list_id, updated);
+                        listStore.put(updated);
+                    };
+                });
+                trashStore.delete(trashId);
+                restored.push(record.movie);
+            };
+        });
+
+        await this.transactionComplete(transaction);
+
+        const ids = restored.map(movie => movie.id);
+        if (this.searchIndex.isBuilt) restored.forEach(movie => this.searchIndex.update(movie));
+        this.broadcastChange('movies', 'put', ids);
+        this.broadcastChange('viewings', 'put', ids);
+        this.broadcastChange('posters', 'put', ids);
+        if (editedLists.size > 0) this.broadcastChange('lists', 'put', Array.from(editedLists.keys()));
+        return restored;
+    }
+
+    // Merge duplicates into one movie, in one transaction. merged carries the id of the movie
+    // that is kept; the other movies go to the trash and their viewings and list places move
+    // to the kept movie. A stored poster moves too when the kept movie has none, or when it
+    // belongs to options.posterFrom. Resolves to { before, after, trashIds, listsBefore,
+    // posterMoved, posterBefore } for undo.
+    async mergeMovies(merged, sourceIds, options = {}) {
+        const record = this.checkMovieRecord({ ...merged, updated_at: new Date().toISOString() });
+        const targetId = record.id;
+        const source = options.source || 'merge';
+        const transaction = this.transaction(['movies', 'viewings', 'posters', 'trash', 'history', 'lists'], 'readwrite');
+        const movieStore = transaction.objectStore('movies');
+        const viewingStore = transaction.objectStore('viewings');
+        const posterStore = transaction.objectStore('posters');
+        const trashStore = transaction.objectStore('trash');
+        const listStore = transaction.objectStore('lists');
+        const deletedAt = record.updated_at;
+        const trashIds = [];
+        const mergedIds = [];
+        const listsBefore = new Map(); // list id -> list as it was before the merge
+        const editedLists = new Map();
+        let before = null;
+        let posterBefore = null;
+        let posterMoved = false;
+        let failure = null;
+
+        const targetRequest = movieStore.get(targetId);
+        targetRequest.onsuccess = () => {
+            before = targetRequest.result;
+            if (!before) {
+                failure = new Error('Film yang dipertahankan sudah tidak ada');
+                transaction.abort();
+                return;
+            }
+            movieStore.put(record);
+            this.logHistory(transaction, { action: 'update', before, after: record, source });
+        };
+        const targetPosterRequest = posterStore.get(targetId);
+        targetPosterRequest.onsuccess = () => {
+            posterBefore = targetPosterRequest.result || null;
+        };
+
+        sourceIds.filter(id => id !== targetId).forEach(id => {
+            const movieRequest = movieStore.get(id);
+            const viewingsRequest = viewingStore.index('movie_id').getAll(IDBKeyRange.only(id));
+            const listsRequest = listStore.index('movie_ids').getAll(IDBKeyRange.only(id));
+            const posterRequest = posterStore.get(id);
+
+            // Requests finish in order, so the others are done when the poster arrives
+            posterRequest.onsuccess = () => {
+                const movie = movieRequest.result;
+                if (failure || !movie) return;
+
+                // The kept movie takes the duplicate's place in a list, unless it is already there
+                const memberships = listsRequest.result.map(found => {
+                    if (!listsBefore.has(found.id)) listsBefore.set(found.id, found);
+                    const list = editedLists.get(found.id) || found;
+                    const position = list.movie_ids.indexOf(id);
+                    const movieIds = list.movie_ids.includes(targetId)
+                        ? list.movie_ids.filter(movieId => movieId !== id)
+                        : list.movie_ids.map(movieId => movieId === id ? targetId : movieId);
+                    const updated = { ...list, movie_ids: movieIds };
+                    editedLists.set(list.id, updated);
+                    listStore.put(updated);
+                    return { list_id: list.id, position };
+                }).filter(membership => membership.position !== -1);
+
+                const viewings = viewingsRequest.result;
+                const addRequest = trashStore.add({
+                    movie,
+                    viewings,
+                    poster: posterRequest.result || null,
+                    lists: memberships,
+                    reason: 'merge',
+                    merged_into: targetId,
+                    deleted_at: deletedAt
+                });
+                addRequest.onsuccess = () => trashIds.push(addRequest.result);
+                this.logHistory(transaction, { action: 'delete', before: movie, source });
+
+                movieStore.delete(id);
+                posterStore.delete(id);
+                const poster = posterRequest.result;
+                if (poster && (id === options.posterFrom || (!posterBefore && !posterMoved))) {
+                    posterStore.put({ ...poster, movie_id: targetId });
+                    posterMoved = true;
+                }
+                // Viewings keep their ids, so restoring the duplicate from the trash moves them back
+                viewings.forEach(viewing => viewingStore.put({ ...viewing, movie_id: targetId }));
+                mergedIds.push(id);
+            };
+        });
+
+        try {
+            await this.transactionComplete(transaction);
+        } catch (error) {
+            throw failure || error;
+        }
+
+        mergedIds.forEach(id => this.searchIndex.remove(id));
+        if (this.searchIndex.isBuilt) this.searchIndex.update(record);
+        this.broadcastChange('movies', 'delete', mergedIds);
+        this.broadcastChange('movies', 'put', [targetId]);
+        this.broadcastChange('viewings', 'put', [targetId]);
+        if (posterMoved) this.broadcastChange('posters', 'put', [targetId]);
+        if (editedLists.size > 0) this.broadcastChange('lists', 'put', Array.from(editedLists.keys()));
+        return { before, after: record, trashIds, listsBefore: Array.from(listsBefore.values()), posterMoved, posterBefore };
+    }
+
+    // Put list records back exactly as they were (used to undo a merge)
+    async putLists(lists) {
+        const transaction = this.transaction(['lists'], 'readwrite');
+        const store = transaction.objectStore('lists');
+        lists.forEach(list => store.put(list));
+        await this.transactionComplete(transaction);
+        this.broadcastChange('lists', 'put', lists.map(list => list.id));
+    }
+
+    // Replace the whole lists store (used to undo a restore)
+    async replaceLists(lists) {
+        const transaction = this.transaction(['lists'], 'readwrite');
+        const store = transaction.objectStore('lists');
+        store.clear();
+        lists.forEach(list => store.put(list));
+
+        await this.transactionComplete(transaction);
+        this.broadcastChange('lists', 'put', lists.map(list => list.id));
+    }
+
+    // All custom lists, sorted by name
+    async getAllLists() {
+        const transaction = this.transaction(['lists'], 'readonly');
+        const lists = await this.promisifyRequest(transaction.objectStore('lists').getAll());
+        return lists.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Create or replace a list; resolves to its id
+    async saveList(list) {
+        const record = {
+            ...list,
+            movie_ids: Array.from(new Set(list.movie_ids || [])),
+            created_at: list.created_at || new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+
+        const transaction = this.transaction(['lists'], 'readwrite');
+        const id = await this.promisifyRequest(transaction.objectStore('lists').put(record));
+        await this.transactionComplete(transaction);
+        this.broadcastChange('lists', 'put', [id]);
+        return id;
+    }
+
+    async deleteList(id) {
+        const transaction = this.transaction(['lists'], 'readwrite');
+        transaction.objectStore('lists').delete(id);
+        await this.transactionComplete(transaction);
+        this.broadcastChange('lists', 'delete', [id]);
+    }
+
+    // Trash records, most recently deleted first
+    async getTrash() {
+        const transaction = this.transaction(['trash'], 'readonly');
+        const records = await this.promisifyRequest(transaction.objectStore('trash').getAll());
+        return records.sort((a, b) => b.deleted_at.localeCompare(a.deleted_at));
+    }
+
+    // Permanently delete trash records; no ids empties the trash
+    async purgeTrash(trashIds = null) {
+        const transaction = this.transaction(['trash'], 'readwrite');
+        const store = transaction.objectStore('trash');
+        if (trashIds) {
+            trashIds.forEach(id => store.delete(id));
+        } else {
+            store.clear();
+        }
+        await this.transactionComplete(transaction);
+    }
+
+    // Permanently delete everything trashed before the cutoff date
+    async purgeExpiredTrash(cutoff) {
+        const transaction = this.transaction(['trash'], 'readwrite');
+        const index = transaction.objectStore('trash').index('deleted_at');
+        let purged = 0;
+
+        index.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                purged++;
+                cursor.continue();
+            }
+        };
+
+        await this.transactionComplete(transaction);
+        return purged;
+    }
+
+    // Replace the whole settings store (used to undo a restore)
+    async replaceSettings(settings) {
+        const transaction = this.transaction(['settings'], 'readwrite');
+        const store = transaction.objectStore('settings');
+        store.clear();
+        settings.forEach(setting => store.put(setting));
+
+        await this.transactionComplete(transaction);
+        this.broadcastChange('settings', 'put', settings.map(setting => setting.key));
+    }
+
+    // Store the thumbnail and full size image of a movie poster
+    async savePoster(movieId, poster) {
+        const transaction = this.transaction(['posters'], 'readwrite');
+        const record = this.createPosterRecord(movieId, poster);
+
+        await this.promisifyRequest(transaction.objectStore('posters').put(record));
+        this.broadcastChange('posters', 'put', [movieId]);
+        return record;
+    }
+
+    // Poster record as stored
+    createPosterRecord(movieId, poster) {
+        return {
+            movie_id: movieId,
+            thumbnail: poster.thumbnail,
+            full: poster.full,
+            source: poster.source || null,
+            updated_at: poster.updated_at || new Date().toISOString()
+        };
+    }
+
+    // Get the stored poster of a movie, or undefined
+    async getPoster(movieId) {
+        const transaction = this.transaction(['posters'], 'readonly');
+        return this.promisifyRequest(transaction.objectStore('posters').get(movieId));
+    }
+
+    // Ids of movies with a stored poster, without reading the images
+    async getPosterIds() {
+        const transaction = this.transaction(['posters'], 'readonly');
+        return this.promisifyRequest(transaction.objectStore('posters').getAllKeys());
+    }
+
+    async getAllPosters() {
+        const transaction = this.transaction(['posters'], 'readonly');
+        return this.promisifyRequest(transaction.objectStore('posters').getAll());
+    }
+
+    async deletePoster(movieId) {
+        const transaction = this.transaction(['posters'], 'readwrite');
+        await this.promisifyRequest(transaction.objectStore('posters').delete(movieId));
+        this.broadcastChange('posters', 'delete', [movieId]);
+    }
+
+    // Log one viewing of a movie (the movie record itself is not touched)
+    async addViewing(viewing) {
+        const record = this.createViewingRecord(viewing);
+        const transaction = this.transaction(['viewings'], 'readwrite');
+        const store = transaction.objectStore('viewings');
+
+        const id = await this.promisifyRequest(store.add(record));
+        this.broadcastChange('viewings', 'put', [record.movie_id]);
+        return id;
+    }
+
+    // Viewing record as stored (the id is assigned on add)
+    createViewingRecord(viewing) {
+        if (!viewing || viewing.movie_id === undefined || !viewing.watched_at) {
+            throw new Error('Missing required fields: movie_id, watched_at');
+        }
+
+        return {
+            movie_id: viewing.movie_id,
+            watched_at: viewing.watched_at,
+            rating: typeof viewing.rating === 'number' ? viewing.rating : null,
+            note: viewing.note || '',
+            created_at: new Date().toISOString()
+        };
+    }
+
+    // Get the viewing history of a movie, most recent first
+    async getViewings(movieId) {
+        const transaction = this.transaction(['viewings'], 'readonly');
+        const index = transaction.objectStore('viewings').index('movie_id');
+        const viewings = await this.promisifyRequest(index.getAll(IDBKeyRange.only(movieId)));
+        return viewings.sort((a, b) => b.watched_at.localeCompare(a.watched_at));
+    }
+
+    // Get every logged viewing
+    async getAllViewings() {
+        const transaction = this.transaction(['viewings'], 'readonly');
+        return this.promisifyRequest(transaction.objectStore('viewings').getAll());
+    }
+
+    // Delete a single viewing entry
+    async deleteViewing(id) {
+        const transaction = this.transaction(['viewings'], 'readwrite');
+        const store = transaction.objectStore('viewings');
+        const viewing = await this.promisifyRequest(store.get(id));
+        await this.promisifyRequest(store.delete(id));
+        if (viewing) {
+            this.broadcastChange('viewings', 'delete', [viewing.movie_id]);
+        }
+        return true;
+    }
+
+    // Count viewings per movie: Map(movie id -> { count, last })
+    async getViewingSummary() {
+        const viewings = await this.getAllViewings();
+        const summary = new Map();
+        viewings.forEach(viewing => {
+            const entry = summary.get(viewing.movie_id) || { count: 0, last: null };
+            entry.count++;
+            if (!entry.last || viewing.watched_at > entry.last) {
+                entry.last = viewing.watched_at;
+            }
+            summary.set(viewing.movie_id, entry);
+        });
+        return summary;
+    }
+
+    // Search movies with advanced filtering
+    async searchMovies(filters = {}) {
+        const result = await this.queryMovies(filters);
+        return result.movies;
+    }
+
+    // Search movies and return one page plus the total number of matches.
+    // Candidates are read through the most selective index (genre tokens, year range
+    // or rating) and sorted pages walk the created_at/year index with a cursor.
+    async queryMovies(filters = {}) {
+        if (filters.search) {
+            await this.ensureSearchIndex();
+        }
+
+        const transaction = this.transaction(['movies'], 'readonly');
+        const store = transaction.objectStore('movies');
+
+        const plan = await this.planQuery(store, filters);
+        const offset = filters.offset || 0;
+        const limit = filters.limit !== undefined ? filters.limit : (filters.offset !== undefined ? 50 : Infinity);
+
+        // The driving index already returns rows in the requested order
+        const sortIndex = this.getSortIndex(filters.sortBy, filters);
+        if (sortIndex && plan.ranges.length === 1 && (!plan.indexName || plan.indexName === sortIndex.name)) {
+            const index = store.index(sortIndex.name);
+            return this.scanOrdered(index, plan.ranges[0], sortIndex.direction, plan.residual, offset, limit);
+        }
+
+        // Otherwise collect the candidates, then filter, sort and paginate them in memory
+        let movies;
+        if (plan.indexName) {
+            const index = store.index(plan.indexName);
+            const results = await Promise.all(plan.ranges.map(range => this.promisifyRequest(index.getAll(range))));
+            const byId = new Map();
+            results.flat().forEach(movie => byId.set(movie.id, movie));
+            // Keep primary key order, like a plain store read
+            movies = Array.from(byId.values()).sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+        } else {
+            movies = await this.promisifyRequest(store.getAll());
+        }
+
+        movies = this.filterMovies(movies, plan.residual);
+        if (filters.sortBy) {
+            movies = this.sortMovies(movies, filters.sortBy, filters.search);
+        }
+
+        return {
+            movies: movies.slice(offset, offset + limit),
+            total: movies.length
+        };
+    }
+
+    // Choose the index that narrows the candidate set the most.
+    // Returns the index name, its key ranges and the filters still to check per record.
+    async planQuery(store, filters) {
+        const residual = { ...filters };
+        const genres = Array.isArray(filters.genres)
+            ? filters.genres.map(g => g.trim().toLowerCase()).filter(g => g !== '')
+            : [];
+
+        if (genres.length > 0) {
+            const index = store.index('genre_tokens');
+            if (filters.genreMode === 'and' && genres.length > 1) {
+                // Drive the query with the rarest genre, the others are checked per record
+                const counts = await Promise.all(genres.map(g => this.promisifyRequest(index.count(IDBKeyRange.only(g)))));
+                const rarest = genres[counts.indexOf(Math.min(...counts))];
+                return { indexName: 'genre_tokens', ranges: [IDBKeyRange.only(rarest)], residual };
+            }
+            delete residual.genres;
+            return { indexName: 'genre_tokens', ranges: genres.map(g => IDBKeyRange.only(g)), residual };
+        }
+
+        if (filters.year) {
+            delete residual.year;
+            return { indexName: 'year', ranges: [IDBKeyRange.only(parseInt(filters.year))], residual };
+        }
+
+        if (filters.yearRange) {
+            const [min, max] = filters.yearRange;
+            delete residual.yearRange;
+            // An empty range (e.g. slider and search syntax that do not overlap) matches nothing
+            const ranges = min <= max ? [IDBKeyRange.bound(min, max)] : [];
+            return { indexName: 'year', ranges, residual };
+        }
+
+        if (filters.status) {
+            delete residual.status;
+            return { indexName: 'status', ranges: [IDBKeyRange.only(filters.status)], residual };
+        }
+
+        if (filters.minRating !== undefined && filters.minRating !== null) {
+            delete residual.minRating;
+            return { indexName: 'rating', ranges: [IDBKeyRange.lowerBound(parseFloat(filters.minRating))], residual };
+        }
+
+        return { indexName: null, ranges: [null], residual };
+    }
+
+    // Index and direction that yield rows already sorted for a sortBy value
+    getSortIndex(sortBy, filters = {}) {
+        // Relevance is computed in memory while searching, otherwise it means insertion order
+        if (sortBy === 'relevance') {
+            return filters.search ? null : { name: 'created_at', direction: 'next' };
+        }
+
+        const sortIndexes = {
+            'created-asc': { name: 'created_at', direction: 'next' },
+            'created-desc': { name: 'created_at', direction: 'prev' },
+            'year-asc': { name: 'year', direction: 'next' },
+            'year-desc': { name: 'year', direction: 'prev' }
+        };
+        return sortIndexes[sortBy] || null;
+    }
+
+    // Walk an index with a cursor and collect one page of matching records
+    async scanOrdered(index, range, direction, residual, offset, limit) {
+        const needsCheck = this.hasActiveFilters(residual);
+
+        // Without per-record checks the index can count and skip rows on its own
+        const total = needsCheck ? 0 : await this.promisifyRequest(index.count(range));
+
+        return new Promise((resolve, reject) => {
+            const movies = [];
+            let matched = 0;
+            let skipped = !needsCheck && offset > 0;
+            const request = index.openCursor(range, direction);
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) {
+                    resolve({ movies, total: needsCheck ? matched : total });
+                    return;
+                }
+
+                if (skipped) {
+                    skipped = false;
+                    cursor.advance(offset);
+                    return;
+                }
+
+                if (!needsCheck) {
+                    movies.push(cursor.value);
+                    if (movies.length >= limit) {
+                        resolve({ movies, total });
+                        return;
+                    }
+                } else if (this.matchesFilters(cursor.value, residual)) {
+                    if (matched >= offset && movies.length < limit) {
+                        movies.push(cursor.value);
+                    }
+                    matched++;
+                }
+                cursor.continue();
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Build the full-text index on first use
+    async ensureSearchIndex() {
+        if (!this.searchIndex.isBuilt) {
+            const movies = await this.getAllMovies();
+            this.searchIndex.build(movies);
+            console.log('🔎 Search index built for', movies.length, 'movies');
+        }
+    }
+
+    // Ranked full-text matches for a query, cached until the index changes
+    getSearchScores(query) {
+        const key = `${this.searchIndex.revision}|${query}`;
+        if (this.searchCache.key !== key) {
+            this.searchCache = { key, scores: this.searchIndex.search(query) };
+        }
+        return this.searchCache.scores;
+    }
+
+    // Whether a filters object restricts the result at all
+    hasActiveFilters(filters) {
+        return Boolean(
+            filters.search ||
+            filters.title ||
+            (Array.isArray(filters.exclude) && filters.exclude.length > 0) ||
+            (filters.maxRating !== undefined && filters.maxRating !== null) ||
+            (filters.genre && filters.genre !== 'all') ||
+            (Array.isArray(filters.genres) && filters.genres.length > 0) ||
+            filters.year ||
+            filters.yearRange ||
+            filters.director ||
+            filters.directorName ||
+            filters.cast ||
+            filters.tag ||
+            filters.status ||
+            (filters.minRating !== undefined && filters.minRating !== null) ||
+            filters.rewatch
+        );
+    }
+
+    // Lowercase genre tokens of a genres array (or a legacy comma separated string)
+    getGenreTokens(genres) {
+        return DatabaseManager.splitList(genres).map(g => g.toLowerCase());
+    }
+
+    // Apply a filters object to an array of movies
+    filterMovies(movies, filters = {}) {
+        if (!this.hasActiveFilters(filters)) {
+            return movies;
+        }
+        return movies.filter(movie => this.matchesFilters(movie, filters));
+    }
+
+    // Check a single movie against a filters object
+    matchesFilters(movie, filters = {}) {
+        const normalize = SearchIndex.normalize;
+
+        if (filters.search && !this.getSearchScores(filters.search).has(movie.id)) {
+            return false;
+        }
+
+        if (filters.title && !normalize(movie.title).includes(normalize(filters.title))) {
+            return false;
+        }
+
+        // Excluded words, optionally limited to one field (-horror, -director:bay)
+        if (Array.isArray(filters.exclude)) {
+            const recordFields = { title: 'title', director: 'directors', cast: 'cast', genre: 'genres', tag: 'tags' };
+            const excluded = filters.exclude.some(({ field, value }) => {
+                const fields = field
+                    ? [movie[recordFields[field] || field]]
+                    : [movie.title, movie.original_title, movie.genres, movie.directors, movie.cast, movie.tags];
+                return fields.some(text => normalize([].concat(text ?? []).join(', ')).includes(normalize(value)));
+            });
+            if (excluded) return false;
+        }
+
+        if (filters.genre && filters.genre !== 'all') {
+            if (!movie.genres.some(genre => genre.toLowerCase().includes(filters.genre.toLowerCase()))) return false;
+        }
+
+        // Multi-genre filter: 'and' needs every selected genre, 'or' needs at least one
+        if (Array.isArray(filters.genres) && filters.genres.length > 0) {
+            const wanted = filters.genres.map(g => g.trim().toLowerCase());
+            const tokens = movie.genre_tokens || this.getGenreTokens(movie.genres);
+            const matchesGenres = filters.genreMode === 'and'
+                ? wanted.every(g => tokens.includes(g))
+                : wanted.some(g => tokens.includes(g));
+            if (!matchesGenres) return false;
+        }
+
+        if (filters.year && movie.year !== parseInt(filters.year)) {
+            return false;
+        }
+
+        if (filters.yearRange) {
+            const [min, max] = filters.yearRange;
+            if (movie.year < min || movie.year > max) return false;
+        }
+
+        // Names match when any entry of the list contains the filter text
+        const anyIncludes = (names, text) => (names || []).some(name => normalize(name).includes(normalize(text)));
+
+        if (filters.director && !anyIncludes(movie.directors, filters.director)) {
+            return false;
+        }
+
+        if (filters.cast && !anyIncludes(movie.cast, filters.cast)) {
+            return false;
+        }
+
+        if (filters.tag && !(movie.tags || []).some(tag => normalize(tag) === normalize(filters.tag))) {
+            return false;
+        }
+
+        // A director picked from the list matches the whole name only ("Lee" is not "Ang Lee")
+        if (filters.directorName && !(movie.directors || []).some(name => normalize(name) === normalize(filters.directorName))) {
+            return false;
+        }
+
+        if (filters.minRating !== undefined && filters.minRating !== null) {
+            if (typeof movie.rating !== 'number' || movie.rating < parseFloat(filters.minRating)) return false;
+        }
+
+        if (filters.maxRating !== undefined && filters.maxRating !== null) {
+            if (typeof movie.rating !== 'number' || movie.rating > parseFloat(filters.maxRating)) return false;
+        }
+
+        if (filters.rewatch && movie.rewatch !== true) {
+            return false;
+        }
+
+        if (filters.status && movie.status !== filters.status) {
+            return false;
+        }
+
+        return true;
+    }
+
+    // Sort movies by one of the supported orderings ('relevance' ranks by the search query)
+    sortMovies(movies, sortBy, search = '') {
+        const compareText = (a, b) => (a || '').localeCompare(b || '', undefined, { numeric: true, sensitivity: 'base' });
+        // Natural title order ignores leading articles ("The Matrix" sorts under M)
+        const naturalTitle = (title) => (title || '').replace(/^(the|a|an)\s+/i, '');
+        // Ties are broken by id, the same way an index cursor orders equal keys
+        const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+        if (sortBy === 'relevance') {
+            if (!search) {
+                return this.sortMovies(movies, 'created-asc');
+            }
+            const scores = this.getSearchScores(search);
+            return [...movies].sort((a, b) =>
+                (scores.get(b.id) || 0) - (scores.get(a.id) || 0) || compareText(a.title, b.title)
+            );
+        }
+
+        return [...movies].sort((a, b) => {
+            switch (sortBy) {
+                case 'title-asc':
+                    return a.title.localeCompare(b.title);
+                case 'title-desc':
+                    return b.title.localeCompare(a.title);
+                case 'title-natural':
+                    return compareText(naturalTitle(a.title), naturalTitle(b.title));
+                case 'year-asc':
+                    return a.year - b.year || compareIds(a.id, b.id);
+                case 'year-desc':
+                    return b.year - a.year || compareIds(b.id, a.id);
+                case 'director-asc':
+                    return compareText(a.directors.join(', '), b.directors.join(', ')) || compareText(a.title, b.title);
+                case 'director-desc':
+                    return compareText(b.directors.join(', '), a.directors.join(', ')) || compareText(a.title, b.title);
+                case 'created-asc':
+                    return new Date(a.created_at) - new Date(b.created_at) || compareIds(a.id, b.id);
+                case 'created-desc':
+                    return new Date(b.created_at) - new Date(a.created_at) || compareIds(b.id, a.id);
+                case 'updated-asc':
+                    return new Date(a.updated_at || a.created_at) - new Date(b.updated_at || b.created_at);
+                case 'updated-desc':
+                    return new Date(b.updated_at || b.created_at) - new Date(a.updated_at || a.created_at);
+                case 'rating-asc':
+                    // Unrated movies always go last
+                    return (a.rating ?? Infinity) - (b.rating ?? Infinity);
+                case 'rating-desc':
+                    return (b.rating ?? -Infinity) - (a.rating ?? -Infinity);
+                default:
+                    return 0;
+            }
+        });
+    }
+
+    // Get top rated movies using the rating index (unrated movies are not indexed)
+    async getTopRated(limit = 10, status = null) {
+        const transaction = this.transaction(['movies'], 'readonly');
+        const index = transaction.objectStore('movies').index('rating');
+        const request = index.openCursor(null, 'prev');
+        const movies = [];
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (cursor && movies.length < limit) {
+                    if (!status || cursor.value.status === status) {
+                        movies.push(cursor.value);
+                    }
+                    cursor.continue();
+                } else {
+                    resolve(movies);
+                }
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Get statistics, optionally limited to one watch status
+    async getStats(filters = {}) {
+        const allMovies = await this.getAllMovies();
+        const movies = filters.status
+            ? allMovies.filter(movie => movie.status === filters.status)
+            : allMovies;
+
+        const stats = {
+            totalMovies: movies.length,
+            statuses: {},
+            viewings: 0,
+            genres: {},
+            years: {},
+            decades: {},
+            directors: {},
+            addedPerMonth: {},
+            growth: [],
+            ratedMovies: 0,
+            averageRating: null
+        };
+
+        let ratingSum = 0;
+
+        movies.forEach(movie => {
+            // Count genres
+            movie.genres.forEach(genre => {
+                stats.genres[genre] = (stats.genres[genre] || 0) + 1;
+            });
+
+            // Count years and decades
+            stats.years[movie.year] = (stats.years[movie.year] || 0) + 1;
+            const decade = Math.floor(movie.year / 10) * 10;
+            if (!isNaN(decade)) {
+                stats.decades[decade] = (stats.decades[decade] || 0) + 1;
+            }
+
+            // Count directors (a co-directed film counts for each of them)
+            movie.directors.forEach(director => {
+                stats.directors[director] = (stats.directors[director] || 0) + 1;
+            });
+
+            // Count movies added per month (YYYY-MM)
+            if (movie.created_at) {
+                const month = movie.created_at.slice(0, 7);
+                stats.addedPerMonth[month] = (stats.addedPerMonth[month] || 0) + 1;
+            }
+
+            // Ratings
+            if (typeof movie.rating === 'number') {
+                stats.ratedMovies++;
+                ratingSum += movie.rating;
+            }
+        });
+
+        if (stats.ratedMovies > 0) {
+            stats.averageRating = ratingSum / stats.ratedMovies;
+        }
+
+        // Status counts always cover the whole collection
+        allMovies.forEach(movie => {
+            stats.statuses[movie.status] = (stats.statuses[movie.status] || 0) + 1;
+        });
+
+        // Viewings of the movies in this selection
+        const movieIds = new Set(movies.map(movie => movie.id));
+        const viewings = await this.getAllViewings();
+        stats.viewings = viewings.filter(viewing => movieIds.has(viewing.movie_id)).length;
+
+        // Cumulative collection size per month
+        let total = 0;
+        stats.growth = Object.keys(stats.addedPerMonth).sort().map(month => {
+            total += stats.addedPerMonth[month];
+            return { month, total };
+        });
+
+        return stats;
+    }
+
+    // Save setting
+    async saveSetting(key, value) {
+        const transaction = this.transaction(['settings'], 'readwrite');
+        const store = transaction.objectStore('settings');
+        const request = store.put({ key, value, updated_at: new Date().toISOString() });
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                this.broadcastChange('settings', 'put', [key]);
+                resolve(true);
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Get every setting record
+    async getAllSettings() {
+        const transaction = this.transaction(['settings'], 'readonly');
+        return this.promisifyRequest(transaction.objectStore('settings').getAll());
+    }
+
+    // Get setting
+    async getSetting(key) {
+        const transaction = this.transaction(['settings'], 'readonly');
+        const store = transaction.objectStore('settings');
+        const request = store.get(key);
+
+        return new Promise((resolve, reject) => {
+            request.onsuccess = (event) => {
+                const result = event.target.result;
+                resolve(result ? result.value : null);
+            };
+            request.onerror = (event) => reject(event.target.error);
+        });
+    }
+
+    // Clear all data (the trash and the history are kept so a restore can be undone)
+    async clearAll() {
+        const transaction = this.transaction(['movies', 'settings', 'viewings', 'posters'], 'readwrite');
+        transaction.objectStore('movies').clear();
+        transaction.objectStore('settings').clear();
+        transaction.objectStore('viewings').clear();
+        transaction.objectStore('posters').clear();
+
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => {
+                this.searchIndex.clear();
+                this.broadcastChange('all', 'clear');
+                resolve(true);
+            };
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    }
+}
+
+// Movie Collection Manager
+class MovieManager {
+    constructor() {
+        this.db = new DatabaseManager();
+        this.movies = [];
+        this.statuses = {
+            wishlist: { label: 'Wishlist', icon: '⭐' },
+            plan: { label: 'Akan Ditonton', icon: '📌' },
+            watching: { label: 'Sedang Ditonton', icon: '▶️' },
+            watched: { label: 'Sudah Ditonton', icon: '✅' },
+            dropped: { label: 'Berhenti', icon: '⏹️' }
+        };
+        this.currentStatus = 'all';
+        this.viewingSummary = new Map(); // movie id -> { count, last }
+        this.selectedGenres = new Set();
+        this.genreMode = 'or';
+        this.advancedFilters = {
+            yearRange: null,
+            director: '',
+            minRating: null,
+            rewatch: false
+        };
+        this.searchQuery = '';
+        this.sortBy = 'relevance';
+
+        // Paginated grid rendering
+        this.pageSize = 48;
+        this.loadedPages = 1;
+        this.currentFilterKey = null;
+        this.renderId = 0;
+        this.displayedMovies = [];
+        this.totalResults = 0;
+        this.isLoadingMore = false;
+        this.cardCache = new Map(); // movie id -> { signature, element }
+        this.backupVersion = 4;
+        // Metadata provider for title suggestions; null keeps the form fully manual
+        this.metadataProviders = {
+            fixture: { label: 'Fixture lokal (offline)', create: (options) => new FixtureProvider(options), needsKey: false },
+            tmdb: { label: 'TMDB', create: (options) => new TmdbProvider(options), needsKey: true },
+            omdb: { label: 'OMDb', create: (options) => new OmdbProvider(options), needsKey: true }
+        };
+        this.metadataSettings = { provider: '', apiKey: '' };
+        this.metadataProvider = null;
+        this.suggestionRequestId = 0;
+        this.suggestionTimeout = null;
+        // Posters stored in IndexedDB: movie id -> version, and the object URLs made for them
+        this.storedPosters = new Map();
+        this.posterUrls = new Map();
+        this.posterSizes = { thumbnail: [200, 300], full: [600, 900] };
+        this.pendingPosterFile = null;
+        this.posterPreviewUrl = null;
+        this.offlinePostersDefault = false;
+        this.updatePrompt = null;
+        // Changes from other tabs, applied together once they stop arriving
+        this.pendingRemoteChanges = [];
+        this.remoteChangeTimeout = null;
+        this.blockedNotice = null;
+        this.reloadRequired = false; // another tab upgraded the database and closed this connection
+        this.scrollObserver = null;
+        this.undoManager = new UndoManager();
+        this.trashRetentionDays = 30; // 0 keeps trashed movies until they are purged by hand
+        this.historyEntries = new Map(); // history id -> entry shown in the edit modal timeline
+        // Selection mode for batch operations on the grid
+        this.selectionMode = false;
+        this.selectedIds = new Set();
+        this.selectionAnchor = null; // last clicked movie id, start of a shift-click range
+        // Custom lists; while one is active the grid shows its movies in list order
+        this.lists = [];
+        this.activeListId = null;
+        this.draggedMovieId = null;
+        this.historyActions = { add: 'Ditambahkan', update: 'Diubah', delete: 'Dihapus', restore: 'Dipulihkan' };
+        this.historySources = {
+            form: 'form',
+            import: 'import',
+            restore: 'restore backup',
+            bulk: 'aksi massal',
+            undo: 'urungkan/ulangi',
+            trash: 'sampah',
+            history: 'riwayat',
+            migration: 'migrasi',
+            merge: 'gabung duplikat'
+        };
+        // Duplicate detection: titles at least this similar (0-1) count as the same film
+        this.duplicateThreshold = 0.85;
+        this.ignoredDuplicates = new Set(); // group keys (sorted ids) marked as not duplicates
+        this.duplicateWarningTimeout = null;
+        // Movie fields that can be imported and compared, with their labels
+        this.fieldLabels = {
+            title: 'Judul',
+            original_title: 'Judul asli',
+            year: 'Tahun',
+            genres: 'Genre',
+            directors: 'Sutradara',
+            cast: 'Pemeran',
+            runtime: 'Durasi (menit)',
+            language: 'Bahasa',
+            country: 'Negara',
+            tags: 'Tag',
+            imdb_id: 'IMDb ID',
+            tmdb_id: 'TMDB ID',
+            poster: 'Poster',
+            rating: 'Rating',
+            review: 'Ulasan',
+            rewatch: 'Tonton ulang',
+            status: 'Status'
+        };
+        // CSV header names recognized for each field when mapping columns
+        this.csvHeaderAliases = {
+            title: ['title', 'judul', 'name', 'nama', 'film', 'movie'],
+            original_title: ['original title', 'judul asli'],
+            year: ['year', 'tahun', 'release year', 'tahun rilis'],
+            genres: ['genre', 'genres', 'kategori', 'category'],
+            directors: ['director', 'directors', 'sutradara'],
+            cast: ['cast', 'actors', 'stars', 'pemeran', 'pemain'],
+            runtime: ['runtime', 'runtime mins', 'duration', 'durasi', 'durasi menit'],
+            language: ['language', 'bahasa'],
+            country: ['country', 'negara'],
+            tags: ['tags', 'tag', 'label'],
+            imdb_id: ['imdb id', 'imdb', 'const'],
+            tmdb_id: ['tmdb id', 'tmdb'],
+            poster: ['poster', 'poster url', 'image', 'gambar'],
+            rating: ['rating', 'nilai', 'score', 'skor'],
+            review: ['review', 'ulasan', 'notes', 'catatan'],
+            rewatch: ['rewatch', 'tonton ulang'],
+            status: ['status']
+        };
+        // Movie modal inputs for the record fields; list fields are typed comma separated
+        this.formInputs = {
+            title: 'title',
+            original_title: 'originalTitle',
+            year: 'year',
+            genres: 'genre',
+            directors: 'director',
+            cast: 'cast',
+            runtime: 'runtime',
+            language: 'language',
+            country: 'country',
+            tags: 'tags',
+            imdb_id: 'imdbId',
+            tmdb_id: 'tmdbId',
+            poster: 'poster'
+        };
+        this.init();
+    }
+
+    async init() {
+        try {
+            // React to other tabs before the database opens (an upgrade can be blocked by them)
+            this.setupTabSync();
+
+            // Initialize database
+            await this.db.initDB();
+
+            // Check if we need to migrate from localStorage
+            await this.migrateFromLocalStorage();
+
+            // Restore saved preferences
+            await this.loadPreferences();
+
+            // Drop trashed movies older than the retention period
+            await this.purgeExpiredTrash();
+
+            // Load data
+            await this.loadMovies();
+
+            // Setup UI
+            this.setupEventListeners();
+            await this.filterAndDisplayMovies();
+            this.updateGenreFilter();
+            this.updateMovieCount();
+
+            // Offline support and update prompts
+            this.registerServiceWorker();
+
+        } catch (error) {
+            console.error('Initialization error:', error);
+            this.showNotification('Failed to initialize application', 'error');
+        }
+    }
+
+    // Connect database notifications from other tabs to the UI
+    setupTabSync() {
+        this.db.onRemoteChange = (change) => this.queueRemoteChange(change);
+
+        this.db.onBlocked = (isBlocked) => {
+            if (isBlocked && !this.blockedNotice) {
+                this.blockedNotice = this.showNotification(
+                    'Pembaruan database menunggu tab lain. Tutup atau muat ulang tab Koleksi Film yang lain.',
+                    'error',
+                    { duration: 0 }
+                );
+            } else if (!isBlocked && this.blockedNotice) {
+                this.blockedNotice.dismiss();
+                this.blockedNotice = null;
+            }
+        };
+
+        // The connection is gone for good: stop loading pages and lock the UI until a reload
+        this.db.onVersionChange = () => {
+            this.reloadRequired = true;
+            document.body.classList.add('reload-required');
+            if (this.scrollObserver) this.scrollObserver.disconnect();
+            this.showNotification('Aplikasi diperbarui di tab lain. Muat ulang halaman ini untuk melanjutkan.', 'error', {
+                duration: 0,
+                action: { label: 'Muat ulang', onClick: () => location.reload() }
+            });
+        };
+    }
+
+    // Bulk writes in another tab arrive as many messages; apply them in one pass
+    queueRemoteChange(change) {
+        this.pendingRemoteChanges.push(change);
+        clearTimeout(this.remoteChangeTimeout);
+        this.remoteChangeTimeout = setTimeout(() => this.applyRemoteChanges(), 100);
+    }
+
+    // Reload only the records another tab changed
+    async applyRemoteChanges() {
+        const changes = this.pendingRemoteChanges;
+        this.pendingRemoteChanges = [];
+        if (changes.length === 0) return;
+
+        try {
+            // A restore in another tab replaced everything
+            if (changes.some(change => change.action === 'clear')) {
+                await this.loadPreferences();
+                await this.loadMovies();
+            } else {
+                const idsOf = (store) => new Set(changes.filter(change => change.store === store).flatMap(change => change.ids));
+
+                await this.reloadMovies(idsOf('movies'));
+                await this.reloadViewingSummary(idsOf('viewings'));
+                await this.reloadPosters(idsOf('posters'));
+
+                if (changes.some(change => change.store === 'settings')) {
+                    await this.loadPreferences();
+                }
+
+                if (changes.some(change => change.store === 'lists')) {
+                    this.lists = await this.db.getAllLists();
+                }
+
+                this.updateStatsDashboard();
+            }
+
+            this.warnIfEditedRemotely(changes);
+            this.updateGenreFilter();
+            await this.filterAndDisplayMovies();
+        } catch (error) {
+            console.error('Error applying changes from another tab:', error);
+        }
+    }
+
+    // Replace, add or drop the given movies in this.movies
+    async reloadMovies(ids) {
+        for (const id of ids) {
+            const movie = await this.db.getMovie(id);
+            const index = this.movies.findIndex(m => m.id === id);
+
+            if (movie && index !== -1) {
+                this.movies[index] = movie;
+            } else if (movie) {
+                this.movies.push(movie);
+            } else if (index !== -1) {
+                // Its viewings and poster were deleted in the same transaction
+                this.movies.splice(index, 1);
+                this.viewingSummary.delete(id);
+                this.releasePosterUrl(id);
+                this.storedPosters.delete(id);
+            }
+        }
+    }
+
+    // Recount the viewings of the given movies
+    async reloadViewingSummary(ids) {
+        for (const id of ids) {
+            const viewings = await this.db.getViewings(id);
+            if (viewings.length === 0) {
+                this.viewingSummary.delete(id);
+            } else {
+                this.viewingSummary.set(id, { count: viewings.length, last: viewings[0].watched_at });
+            }
+        }
+    }
+
+    // A new poster version makes the cards fetch a fresh object URL
+    async reloadPosters(ids) {
+        for (const id of ids) {
+            this.releasePosterUrl(id);
+            if (await this.db.getPoster(id)) {
+                this.storedPosters.set(id, Date.now());
+            } else {
+                this.storedPosters.delete(id);
+            }
+        }
+    }
+
+    // The movie open in the form was changed or deleted in another tab
+    warnIfEditedRemotely(changes) {
+        const modal = document.getElementById('movieModal');
+        const editingId = document.getElementById('movieId').value;
+        if (modal.style.display !== 'block' || !editingId) return;
+
+        const change = changes.find(c => c.action === 'clear' || (c.store === 'movies' && c.ids.some(id => String(id) === editingId)));
+        if (!change) return;
+
+        const deleted = change.action === 'clear' || !this.movies.some(m => String(m.id) === editingId);
+        this.showNotification(deleted
+            ? 'Film ini dihapus di tab lain. Menyimpan akan menambahkannya lagi.'
+            : 'Film ini diubah di tab lain. Menyimpan akan menimpa perubahan tersebut.', 'error');
+    }
+
+    // Register the service worker that makes the app work offline
+    async registerServiceWorker() {
+        // Service workers need http(s); opening index.html from disk keeps working without one
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            return;
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            console.log('📦 Service worker registered:', registration.scope);
+
+            // A new sw.js was installed and waits for the open tabs to close
+            let updateAccepted = false;
+            const promptForWorker = (worker) => {
+                this.showUpdatePrompt(() => {
+                    updateAccepted = true;
+                    worker.postMessage({ type: 'skip-waiting' });
+                });
+            };
+
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                promptForWorker(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        promptForWorker(worker);
+                    }
+                });
+            });
+
+            // The cached script.js/style.css/index.html changed on the server
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'shell-updated') {
+                    this.showUpdatePrompt(() => location.reload());
+                }
+            });
+
+            // Reload once the accepted worker has taken over. The first install also claims the
+            // page, but that must not reload it while the user (or a migration) is busy.
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading || !updateAccepted) return;
+                reloading = true;
+                location.reload();
+            });
+        } catch (error) {
+            console.warn('⚠️ Service worker registration failed:', error);
+        }
+    }
+
+    // One "update available" toast, however many files changed
+    showUpdatePrompt(onUpdate) {
+        if (this.updatePrompt) return;
+
+        this.updatePrompt = this.showNotification('Versi baru aplikasi tersedia', 'success', {
+            duration: 0,
+            action: {
+                label: 'Muat ulang',
+                onClick: () => {
+                    this.updatePrompt = null;
+                    onUpdate();
+                }
+            }
+        });
+    }
+
+    // Load saved UI preferences from the settings store
+    async loadPreferences() {
+        try {
+            const sortBy = await this.db.getSetting('sortBy');
+            if (sortBy) {
+                this.sortBy = sortBy;
+            }
+
+            const sortSelect = document.getElementById('sortSelect');
+            if (sortSelect) {
+                sortSelect.value = this.sortBy;
+            }
+
+            this.offlinePostersDefault = !!(await this.db.getSetting('offlinePosters'));
+
+            this.ignoredDuplicates = new Set((await this.db.getSetting('ignoredDuplicates')) || []);
+
+            const retention = await this.db.getSetting('trashRetentionDays');
+            if (retention !== null) {
+                this.trashRetentionDays = retention;
+            }
+
+            const metadataSettings = await this.db.getSetting('metadata');
+            this.setMetadataProvider(metadataSettings || { provider: '', apiKey: '' });
+        } catch (error) {
+            console.warn('⚠️ Failed to load preferences:', error);
+        }
+    }
+
+    // Migrate data from localStorage to IndexedDB
+    async migrateFromLocalStorage() {
+        const localStorageData = localStorage.getItem('myMovies');
+
+        if (localStorageData) {
+            try {
+                const movies = JSON.parse(localStorageData);
+
+                // Check if database already has data
+                const existingMovies = await this.db.getAllMovies();
+
+                if (existingMovies.length === 0 && movies.length > 0) {
+                    // Migrate to IndexedDB in one bulk write; records the movie schema rejects are
+                    // offered as a download. The old Date.now() ids are dropped so every movie gets a UUID.
+                    const operations = [];
+                    const rejected = [];
+                    for (const legacy of movies) {
+                        const { id, ...movie } = legacy;
+                        try {
+                            operations.push({ type: 'add', store: 'movies', value: this.db.checkMovieRecord(movie) });
+                        } catch (error) {
+                            console.warn('⚠️ Skipped movie during migration:', movie, error.message);
+                            rejected.push({ movie: legacy, reason: error.message });
+                        }
+                    }
+
+                    if (operations.length > 0) {
+                        const progress = this.showProgress('Memindahkan data lama');
+                        try {
+                            await this.db.bulkWrite(operations, {
+                                source: 'migration',
+                                onProgress: (done, total) => progress.update(done, total)
+                            });
+                        } finally {
+                            progress.close();
+                        }
+
+                        console.log(`Migrated ${operations.length} movies from localStorage to IndexedDB`);
+                        this.showNotification(`Successfully migrated ${operations.length} movies to new database system`, 'success');
+                    }
+
+                    // Not awaited, so the collection loads behind the dialog
+                    if (rejected.length > 0) this.showRejectedMigration(rejected);
+                }
+
+                // Clear localStorage after migration
+                localStorage.removeItem('myMovies');
+
+            } catch (error) {
+                console.error('Migration error:', error);
+                this.showNotification('Failed to migrate existing data', 'error');
+            }
+        }
+    }
+
+    // Legacy movies the schema rejected during the migration; they can be downloaded as an
+    // export file, fixed and brought back with Import
+    async showRejectedMigration(rejected) {
+        const download = await this.showDialog({
+            title: 'Data Lama Tidak Valid',
+            content: `
+                <p class="import-summary">${rejected.length} film dari penyimpanan lama tidak valid dan tidak dipindahkan. Unduh filenya, perbaiki datanya, lalu masukkan lagi lewat 📥 Import.</p>
+                <ul class="import-report-list">${rejected.map(({ movie, reason }) =>
+                    `<li>${this.escapeHtml(movie.title || '(tanpa judul)')} <span class="import-reason">— ${this.escapeHtml(reason)}</span></li>`
+                ).join('')}</ul>
+            `,
+            actions: [
+                { label: 'Tutup', value: false },
+                { label: 'Unduh', value: true, className: 'submit-btn' }
+            ]
+        });
+        if (!download) return;
+
+        const dataBlob = new Blob([JSON.stringify(rejected.map(({ movie }) => movie), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `movie-migration-invalid-${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Load movies from IndexedDB
+    async loadMovies() {
+        try {
+            console.log('📂 Loading movies from database...');
+
+            const movies = await this.db.getAllMovies();
+
+            // Validate loaded data
+            if (!Array.isArray(movies)) {
+                console.error('❌ Invalid data format received from database:', movies);
+                this.movies = [];
+                throw new Error('Invalid data format from database');
+            }
+
+            this.movies = movies.filter(movie => {
+                // Filter out invalid movie entries
+                return movie &&
+                       typeof movie === 'object' &&
+                       movie.id &&
+                       movie.title;
+            });
+
+            this.viewingSummary = await this.db.getViewingSummary();
+            this.lists = await this.db.getAllLists();
+            await this.loadPosterIds();
+
+            console.log('📊 Loaded', this.movies.length, 'valid movies from database');
+            console.log('🎬 Movie data sample:', this.movies.slice(0, 3)); // Show first 3 movies
+
+            // Keep the statistics dashboard in sync after every change
+            if (typeof document !== 'undefined') {
+                this.updateStatsDashboard();
+            }
+
+        } catch (error) {
+            console.error('❌ Error loading movies:', error);
+            this.movies = [];
+
+            // Show notification only if in browser context
+            if (typeof document !== 'undefined') {
+                this.showNotification('Gagal memuat film: ' + error.message, 'error');
+
+                // Ensure empty state is shown
+                this.displayMovies([]);
+            }
+        }
+    }
+
+    // Save movie to IndexedDB (added or updated atomically); resolves to { before, after }
+    async saveMovieToDB(movie) {
+        try {
+            return await this.db.upsertMovie(movie, { source: 'form' });
+        } catch (error) {
+            console.error('Error saving movie:', error);
+            throw error;
+        }
+    }
+
+    // Setup real-time form validation - NEW FUNCTION
+    setupRealTimeValidation() {
+        console.log('⚡ Setting up real-time validation...');
+
+        // Each input is checked with the same movie schema rules the database enforces
+        const schema = this.db.movieSchema;
+        const inputs = { ...this.formInputs, rating: 'rating' };
+
+        Object.entries(inputs).forEach(([field, inputId]) => {
+            const input = document.getElementById(inputId);
+            input.addEventListener('input', () => {
+                const value = schema.normalizeValue(schema.fields[field], input.value);
+                const message = schema.validateField(field, value);
+                if (message) {
+                    this.setFieldValidation(input, false, message);
+                } else {
+                    this.setFieldValidation(input, true, input.value.trim() === '' ? 'Opsional' : 'Valid');
+                }
+            });
+        });
+    }
+
+    // Set field validation state - NEW FUNCTION
+    setFieldValidation(input, isValid, message) {
+        if (isValid) {
+            input.classList.remove('invalid');
+            input.classList.add('valid');
+            input.style.borderColor = '#4CAF50';
+            input.title = message;
+        } else {
+            input.classList.remove('valid');
+            input.classList.add('invalid');
+            input.style.borderColor = '#f44336';
+            input.title = message;
+        }
+    }
+
+    // Validate URL format - NEW FUNCTION
+    isValidUrl(string) {
+        try {
+            new URL(string);
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    // Validate image URL - NEW FUNCTION
+    isValidImageUrl(url) {
+        if (!url || typeof url !== 'string') return false;
+
+        // Check if it's a valid URL
+        if (!this.isValidUrl(url)) return false;
+
+        // Check if it's an image file extension
+        const imageExtensions = /\.(jpg|jpeg|png|gif|bmp|webp)(\?.*)?$/i;
+        return imageExtensions.test(url) ||
+               url.includes('amazon.com/images/') ||
+               url.includes('imdb.com/title/') ||
+               url.includes('themoviedb.org/t/p/') ||
+               url.includes('image.tmdb.org/') ||
+               url.includes('movieposter.db');
+    }
+
+    // Handle problematic image URLs - NEW FUNCTION
+    addProxyIfNeeded(url) {
+        try {
+            const urlObj = new URL(url);
+
+            // List of domains that commonly cause tracking prevention issues
+            // (sw.js keeps the same list to cache these URLs without the "t" tag)
+            const problematicDomains = [
+                'amazon.com',
+                'imdb.com',
+                'facebook.com',
+                'instagram.com',
+                'twitter.com'
+            ];
+
+            // For problematic domains, add cache-busting and better headers
+            if (problematicDomains.some(domain => urlObj.hostname.includes(domain))) {
+                // Add cache busting to avoid tracking prevention
+                const separator = url.includes('?') ? '&' : '?';
+                return `${url}${separator}t=${Date.now()}`;
+            }
+
+            return url;
+        } catch (e) {
+            console.warn('Invalid URL for processing:', url);
+            return url;
+        }
+    }
+
+    // Generate movie poster with robust error handling - NEW FUNCTION
+    generateMoviePoster(movie) {
+        // Stored posters get their object URL after the card is rendered
+        if (this.storedPosters.has(movie.id)) {
+            const cached = this.posterUrls.get(movie.id);
+            const src = cached && cached.version === this.storedPosters.get(movie.id) ? `src="${cached.url}"` : '';
+            return `<img ${src} data-poster-id="${movie.id}" alt="${this.escapeAttribute(movie.title)}" loading="lazy">`;
+        }
+
+        if (!movie.poster || !this.isValidImageUrl(movie.poster)) {
+            return '<div class="no-poster">🎬</div>';
+        }
+
+        try {
+            // Process URL for better loading
+            const processedUrl = this.addProxyIfNeeded(movie.poster);
+
+            return `<img src="${processedUrl}"
+                     alt="${this.escapeHtml(movie.title)}"
+                     loading="lazy"
+                     onerror="this.parentElement.classList.add('no-poster'); this.remove(); console.warn('❌ Failed to load poster:', '${this.escapeHtml(processedUrl)}');"
+                     onload="this.parentElement.classList.remove('no-poster'); console.log('✅ Poster loaded successfully:', '${this.escapeHtml(movie.title)}');">`;
+        } catch (e) {
+            console.warn('⚠️ Error processing poster URL:', movie.poster, e);
+            return '<div class="no-poster">🎬</div>';
+        }
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        console.log('🔧 Setting up event listeners...');
+
+        // Add movie button
+        const addBtn = document.getElementById('addMovieBtn');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                console.log('➕ Add movie button clicked');
+                this.openModal();
+            });
+        }
+
+        // Modal close
+        const closeBtn = document.querySelector('.close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                console.log('❌ Close button clicked');
+                this.closeModal();
+            });
+        }
+
+        // Cancel button
+        const cancelBtn = document.querySelector('.cancel-btn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => {
+                console.log('🚫 Cancel button clicked');
+                this.closeModal();
+            });
+        }
+
+        // Form submit
+        const movieForm = document.getElementById('movieForm');
+        if (movieForm) {
+            movieForm.addEventListener('submit', (e) => {
+                console.log('📋 Form submit triggered!');
+                console.log('📋 Form elements:', {
+                    ...this.readMovieForm(),
+                    rating: document.getElementById('rating').value,
+                    rewatch: document.getElementById('rewatch').checked,
+                    movieId: document.getElementById('movieId').value
+                });
+                e.preventDefault();
+                this.saveMovie();
+            });
+            console.log('✅ Form submit listener attached');
+        } else {
+            console.error('❌ movieForm not found!');
+        }
+
+        // REAL-TIME FORM VALIDATION - NEW
+        this.setupRealTimeValidation();
+
+        // Title suggestions from the metadata provider
+        this.setupTitleSuggestions();
+        this.setupDuplicateWarning();
+
+        // Poster upload and drag-and-drop
+        this.setupPosterInput();
+
+        // Advanced filter panel
+        this.setupAdvancedFilters();
+
+        // Load more / infinite scroll
+        this.setupInfiniteScroll();
+
+        // Search input with debounce
+        let searchTimeout;
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                this.searchQuery = e.target.value;
+                this.filterAndDisplayMovies();
+            }, 300);
+        });
+
+        // Sort selector
+        document.getElementById('sortSelect').addEventListener('change', async (e) => {
+            this.sortBy = e.target.value;
+            this.filterAndDisplayMovies();
+            try {
+                await this.db.saveSetting('sortBy', this.sortBy);
+            } catch (error) {
+                console.warn('⚠️ Failed to save sort order:', error);
+            }
+        });
+
+        // Import/Export buttons
+        document.getElementById('importBtn').addEventListener('click', () => {
+            document.getElementById('importFile').click();
+        });
+
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.exportMovies();
+        });
+
+        document.getElementById('exportCsvBtn').addEventListener('click', () => {
+            this.exportMoviesCsv();
+        });
+
+        document.getElementById('metadataSettingsBtn').addEventListener('click', () => {
+            this.openMetadataSettings();
+        });
+
+        // Card buttons and selection, delegated from the grid
+        document.getElementById('moviesGrid').addEventListener('click', (e) => {
+            this.handleGridClick(e);
+        });
+
+        // Custom lists
+        document.getElementById('listFilter').addEventListener('change', (e) => {
+            this.setActiveList(e.target.value ? parseInt(e.target.value) : null);
+        });
+
+        document.getElementById('listsBtn').addEventListener('click', () => {
+            this.openListManager();
+        });
+
+        document.getElementById('listImportFile').addEventListener('change', (e) => {
+            this.importList(e.target.files[0]);
+        });
+
+        this.setupListDragging();
+
+        // Selection mode and batch actions
+        document.getElementById('selectModeBtn').addEventListener('click', () => {
+            this.setSelectionMode(!this.selectionMode);
+        });
+
+        document.getElementById('bulkBar').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (button) {
+                this.runBulkAction(button.dataset.bulk);
+            }
+        });
+
+        document.getElementById('bulkStatus').addEventListener('change', (e) => {
+            const status = e.target.value;
+            e.target.value = '';
+            if (status) {
+                this.bulkSetStatus(status);
+            }
+        });
+
+        // Edit history timeline in the movie modal
+        document.getElementById('historyTimeline').addEventListener('click', (e) => {
+            const button = e.target.closest('.history-restore-btn');
+            if (button) {
+                this.restoreMovieVersion(parseInt(button.dataset.historyId));
+            }
+        });
+
+        // Undo/redo and trash
+        this.setupUndo();
+        document.getElementById('trashBtn').addEventListener('click', () => {
+            this.openTrash();
+        });
+
+        document.getElementById('duplicatesBtn').addEventListener('click', () => {
+            this.openDuplicateFinder();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            this.importMovies(e.target.files[0]);
+        });
+
+        // Statistics dashboard toggle
+        document.getElementById('statsBtn').addEventListener('click', () => {
+            const section = document.getElementById('statsSection');
+            const isOpen = section.classList.toggle('open');
+            if (isOpen) {
+                this.updateStatsDashboard();
+            }
+        });
+
+        // Backup button
+        document.getElementById('backupBtn').addEventListener('click', () => {
+            this.createBackup();
+        });
+
+        // Restore button
+        document.getElementById('restoreBtn').addEventListener('click', () => {
+            document.getElementById('backupFile').click();
+        });
+
+        document.getElementById('backupFile').addEventListener('change', (e) => {
+            this.restoreBackup(e.target.files[0]);
+        });
+
+        
+        // Shared dialog close button
+        document.getElementById('dialogClose').addEventListener('click', () => {
+            this.closeDialog();
+        });
+
+        // Statistics status selector
+        document.getElementById('statsStatus').addEventListener('change', () => {
+            this.updateStatsDashboard();
+        });
+
+        // Close modal when clicking outside
+        window.addEventListener('click', (e) => {
+            const modal = document.getElementById('movieModal');
+            if (e.target === modal) {
+                this.closeModal();
+            }
+            if (e.target === document.getElementById('dialogModal')) {
+                this.closeDialog();
+            }
+        });
+    }
+
+    // Display movies (pass append: true to add the next page below the current cards)
+    displayMovies(moviesToDisplay = this.movies, { total = moviesToDisplay.length, append = false } = {}) {
+        console.log('🎨 DisplayMovies called with', moviesToDisplay.length, 'movies');
+        console.log('📋 Total movies in array:', this.movies.length);
+
+        // Validate DOM elements exist
+        const grid = document.getElementById('moviesGrid');
+        const emptyState = document.getElementById('emptyState');
+        const noResults = document.getElementById('noResults');
+        const loading = document.getElementById('loading');
+
+        if (!grid || !emptyState || !noResults || !loading) {
+            console.error('❌ Required DOM elements not found!');
+            return;
+        }
+
+        // Hide loading
+        loading.style.display = 'none';
+        this.totalResults = total;
+
+        // Handle empty collection
+        if (!this.movies || this.movies.length === 0) {
+            console.log('📭 No movies in collection, showing empty state');
+            grid.style.display = 'none';
+            this.clearGrid();
+            emptyState.style.display = 'block';
+            noResults.style.display = 'none';
+            this.updateLoadMore();
+            this.updateMovieCount();
+            return;
+        }
+
+        // Handle no search results
+        if (!append && (!moviesToDisplay || moviesToDisplay.length === 0)) {
+            console.log('🔍 No movies match search/filter criteria');
+            grid.style.display = 'none';
+            this.clearGrid();
+            emptyState.style.display = 'none';
+            noResults.style.display = 'block';
+            this.updateLoadMore();
+            this.updateMovieCount();
+            return;
+        }
+
+        console.log('✨ Displaying', moviesToDisplay.length, 'movies');
+
+        // Show grid and hide states
+        grid.style.display = 'grid';
+        emptyState.style.display = 'none';
+        noResults.style.display = 'none';
+
+        // Validate movie data
+        const validMovies = moviesToDisplay.filter(movie => {
+            if (!movie || !movie.id || !movie.title) {
+                console.warn('⚠️ Invalid movie data:', movie);
+                return false;
+            }
+            return true;
+        });
+
+        this.displayedMovies = append ? this.displayedMovies.concat(validMovies) : validMovies;
+        this.renderCards(grid, this.displayedMovies);
+
+        // Update count and "load more" state
+        this.updateLoadMore();
+        this.updateMovieCount();
+
+        console.log('🎉 Display completed successfully');
+    }
+
+    // Reconcile the grid with a list of movies, reusing card nodes that did not change
+    renderCards(grid, movies) {
+        const nextCache = new Map();
+
+        movies.forEach((movie, index) => {
+            const signature = JSON.stringify([movie, this.viewingSummary.get(movie.id), this.storedPosters.get(movie.id)]);
+            const cached = this.cardCache.get(movie.id);
+            const element = cached && cached.signature === signature
+                ? cached.element
+                : this.createCardElement(movie);
+
+            nextCache.set(movie.id, { signature, element });
+            // Cards are dragged to reorder the active list
+            element.draggable = this.activeListId !== null && !this.selectionMode;
+
+            // Only touch the DOM when the card is not already in place
+            if (grid.children[index] !== element) {
+                grid.insertBefore(element, grid.children[index] || null);
+            }
+        });
+
+        // Remove cards that are no longer part of the result
+        while (grid.children.length > movies.length) {
+            grid.removeChild(grid.lastElementChild);
+        }
+
+        this.cardCache = nextCache;
+        this.hydratePosters(grid);
+        this.updateSelectionUI();
+    }
+
+    // Id of the movie a card belongs to (data attributes are strings)
+    getCardMovieId(card) {
+        const movie = this.displayedMovies.find(m => String(m.id) === card.dataset.id);
+        return movie ? movie.id : null;
+    }
+
+    // One click handler for every card: action buttons, or selection while in selection mode
+    handleGridClick(e) {
+        const card = e.target.closest('.movie-card');
+        if (!card) return;
+
+        const id = this.getCardMovieId(card);
+        if (id === null) return;
+
+        if (this.selectionMode) {
+            this.toggleSelection(id, e.shiftKey);
+            return;
+        }
+
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        if (button.dataset.action === 'edit') {
+            this.editMovie(id);
+        } else if (button.dataset.action === 'log') {
+            this.openViewingDialog(id);
+        } else if (button.dataset.action === 'delete') {
+            this.deleteMovie(id);
+        } else if (button.dataset.action === 'remove-from-list') {
+            this.removeFromActiveList(id);
+        }
+    }
+
+    // Enter or leave selection mode; leaving clears the selection
+    setSelectionMode(enabled) {
+        this.selectionMode = enabled;
+        if (!enabled) {
+            this.selectedIds.clear();
+            this.selectionAnchor = null;
+        }
+
+        document.getElementById('moviesGrid').classList.toggle('selecting', enabled);
+        document.getElementById('bulkBar').style.display = enabled ? 'flex' : 'none';
+        document.getElementById('selectModeBtn').classList.toggle('active', enabled);
+        this.updateSelectionUI();
+    }
+
+    // Toggle one movie, or with shift select every card between the last clicked one and this one
+    toggleSelection(id, extendRange = false) {
+        const ids = this.displayedMovies.map(movie => movie.id);
+        const anchorIndex = ids.indexOf(this.selectionAnchor);
+
+        if (extendRange && anchorIndex !== -1) {
+            const index = ids.indexOf(id);
+            const [start, end] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+            ids.slice(start, end + 1).forEach(rangeId => this.selectedIds.add(rangeId));
+        } else if (this.selectedIds.has(id)) {
+            this.selectedIds.delete(id);
+        } else {
+            this.selectedIds.add(id);
+        }
+
+        this.selectionAnchor = id;
+        this.updateSelectionUI();
+    }
+
+    // Select every movie that matches the current search and filters, not only the loaded pages
+    async selectAllFiltered() {
+        try {
+            // With a list open only its films are shown, so only they can be selected
+            const list = this.activeListId !== null ? this.getActiveList() : null;
+            const movies = list
+                ? this.getListMovies(list, this.buildFilters())
+                : await this.db.searchMovies(this.buildFilters());
+            movies.forEach(movie => this.selectedIds.add(movie.id));
+            this.updateSelectionUI();
+        } catch (error) {
+            console.error('Error selecting movies:', error);
+            this.showNotification('Gagal memilih film: ' + error.message, 'error');
+        }
+    }
+
+    // Sync checkboxes, card highlight and the batch bar with the selection
+    updateSelectionUI() {
+        // Movies removed elsewhere (another tab, undo) drop out of the selection
+        const existing = new Set(this.movies.map(movie => movie.id));
+        this.selectedIds.forEach(id => {
+            if (!existing.has(id)) this.selectedIds.delete(id);
+        });
+
+        document.querySelectorAll('#moviesGrid .movie-card').forEach(card => {
+            const selected = this.selectedIds.has(this.getCardMovieId(card));
+            card.classList.toggle('selected', selected);
+            card.querySelector('.card-select').checked = selected;
+        });
+
+        const count = this.selectedIds.size;
+        document.getElementById('bulkCount').textContent = `${count} dipilih`;
+        document.querySelectorAll('#bulkBar .bulk-action').forEach(control => {
+            control.disabled = count === 0;
+        });
+    }
+
+    // Dispatch a button of the batch bar
+    async runBulkAction(action) {
+        if (action === 'select-all') {
+            await this.selectAllFiltered();
+        } else if (action === 'clear') {
+            this.selectedIds.clear();
+            this.updateSelectionUI();
+        } else if (action === 'done') {
+            this.setSelectionMode(false);
+        } else if (this.selectedIds.size === 0) {
+            this.showNotification('Pilih film terlebih dahulu', 'error');
+        } else if (action === 'delete') {
+            await this.bulkDelete();
+        } else if (action === 'add-genre') {
+            await this.bulkAddGenre();
+        } else if (action === 'remove-genre') {
+            await this.bulkRemoveGenre();
+        } else if (action === 'director') {
+            await this.bulkSetDirector();
+        } else if (action === 'export') {
+            this.exportSelection();
+        } else if (action === 'add-to-list') {
+            await this.addSelectionToList();
+        }
+    }
+
+    // Ask for one text value in the shared dialog; resolves to the trimmed value or null
+    async promptText({ title, label, value: initialValue = '', suggestions = [], confirmLabel = 'Terapkan' }) {
+        let value = null;
+
+        await this.showDialog({
+            title,
+            content: `
+                <div class="form-group">
+                    <label for="promptInput">${this.escapeHtml(label)}</label>
+                    <input type="text" id="promptInput" list="promptSuggestions" autocomplete="off" value="${this.escapeAttribute(initialValue)}">
+                    <datalist id="promptSuggestions">
+                        ${suggestions.map(option => `<option value="${this.escapeAttribute(option)}">`).join('')}
+                    </datalist>
+                    <div class="form-error"></div>
+                </div>
+            `,
+            actions: [
+                { label: 'Batal', value: null },
+                { label: confirmLabel, value: 'apply', className: 'submit-btn' }
+            ],
+            onOpen: (body) => body.querySelector('#promptInput').focus(),
+            onAction: (action, body) => {
+                if (!action) return true;
+                value = body.querySelector('#promptInput').value.trim();
+                if (!value) {
+                    body.querySelector('.form-error').textContent = `${label} tidak boleh kosong`;
+                    return false;
+                }
+                return true;
+            }
+        });
+
+        return value;
+    }
+
+    // Genre names used in the collection, for suggestions
+    getAllGenres() {
+        const genres = new Map();
+        this.movies.forEach(movie => {
+            movie.genres.forEach(name => genres.set(name.toLowerCase(), name));
+        });
+        return Array.from(genres.values()).sort((a, b) => a.localeCompare(b));
+    }
+
+    // Run an in-place change over the selected movies in one transaction, as one undo step
+    async applyBulkUpdate(label, update) {
+        const ids = Array.from(this.selectedIds);
+
+        try {
+            const { before, after } = await this.db.updateMovies(ids, update, { source: 'bulk' });
+            if (after.length === 0) {
+                this.showNotification('Tidak ada film yang berubah', 'success');
+                return;
+            }
+
+            this.undoManager.push({
+                label: `${label} (${after.length} film)`,
+                undo: () => this.db.putMovies(before, { source: 'undo' }),
+                redo: () => this.db.putMovies(after, { source: 'undo' })
+            });
+
+            await this.refreshCollection();
+            this.showUndoableNotification(`${label}: ${after.length} film diperbarui`);
+        } catch (error) {
+            console.error('Bulk update failed:', error);
+            this.showNotification(`Gagal: ${error.message}. Tidak ada film yang diubah.`, 'error');
+        }
+    }
+
+    async bulkAddGenre() {
+        const genre = await this.promptText({ title: 'Tambah Genre', label: 'Genre', suggestions: this.getAllGenres() });
+        if (!genre) return;
+
+        await this.applyBulkUpdate(`Tambah genre ${genre}`, (movie) => {
+            movie.genres = this.normalizeGenreList([...movie.genres, genre]);
+        });
+    }
+
+    async bulkRemoveGenre() {
+        const genre = await this.promptText({ title: 'Hapus Genre', label: 'Genre', suggestions: this.getAllGenres(), confirmLabel: 'Hapus' });
+        if (!genre) return;
+
+        await this.applyBulkUpdate(`Hapus genre ${genre}`, (movie) => {
+            const genres = movie.genres.filter(name => name.toLowerCase() !== genre.toLowerCase());
+            if (genres.length === 0) {
+                throw new Error(`"${movie.title}" harus punya minimal satu genre`);
+            }
+            movie.genres = genres;
+        });
+    }
+
+    async bulkSetDirector() {
+        const directors = Array.from(new Set(this.movies.flatMap(movie => movie.directors))).sort((a, b) => a.localeCompare(b));
+        const director = await this.promptText({ title: 'Ubah Sutradara', label: 'Sutradara', suggestions: directors });
+        if (!director) return;
+
+        await this.applyBulkUpdate(`Sutradara ${director}`, (movie) => {
+            movie.directors = DatabaseManager.splitList(director);
+        });
+    }
+
+    async bulkSetStatus(status) {
+        if (this.selectedIds.size === 0) {
+            this.showNotification('Pilih film terlebih dahulu', 'error');
+            return;
+        }
+
+        await this.applyBulkUpdate(`Status ${this.statuses[status].label}`, (movie) => {
+            movie.status = status;
+        });
+    }
+
+    // Move the selected movies to the trash in one transaction
+    async bulkDelete() {
+        const ids = Array.from(this.selectedIds);
+
+        try {
+            let trashIds = await this.db.trashMovies(ids, { source: 'bulk' });
+            ids.forEach(id => this.releasePosterUrl(id));
+
+            this.undoManager.push({
+                label: `Hapus ${ids.length} film`,
+                undo: async () => {
+                    await this.db.restoreFromTrash(trashIds, { source: 'undo' });
+                },
+                redo: async () => {
+                    trashIds = await this.db.trashMovies(ids, { source: 'undo' });
+                }
+            });
+
+            this.selectedIds.clear();
+            await this.refreshCollection();
+            this.showUndoableNotification(`${ids.length} film dipindahkan ke sampah`);
+        } catch (error) {
+            console.error('Bulk delete failed:', error);
+            this.showNotification(`Gagal menghapus: ${error.message}. Tidak ada film yang dihapus.`, 'error');
+        }
+    }
+
+    // Fill the list picker next to the genre filter
+    updateListPicker() {
+        const select = document.getElementById('listFilter');
+
+        // The active list was deleted (here or in another tab)
+        if (this.activeListId !== null && !this.lists.some(list => list.id === this.activeListId)) {
+            this.activeListId = null;
+            document.getElementById('moviesGrid').classList.remove('list-order');
+        }
+
+        select.innerHTML = '<option value="">Semua film</option>' + this.lists.map(list =>
+            `<option value="${list.id}" ${list.id === this.activeListId ? 'selected' : ''}>📋 ${this.escapeHtml(list.name)} (${list.movie_ids.length})</option>`
+        ).join('');
+    }
+
+    // Show one list (or everything with null)
+    setActiveList(id) {
+        this.activeListId = id;
+        document.getElementById('moviesGrid').classList.toggle('list-order', id !== null);
+        this.updateListPicker();
+        this.filterAndDisplayMovies();
+    }
+
+    getActiveList() {
+        return this.lists.find(list => list.id === this.activeListId) || null;
+    }
+
+    // The active list's movies in list order, narrowed by the other filters
+    displayListMovies(filters) {
+        const list = this.getActiveList();
+        if (!list) {
+            this.setActiveList(null);
+            return;
+        }
+
+        const filtered = this.getListMovies(list, filters);
+        ++this.renderId;
+        this.displayMovies(filtered, { total: filtered.length });
+    }
+
+    // Movies of a list in list order, narrowed by the filters
+    getListMovies(list, filters) {
+        if (filters.search && !this.db.searchIndex.isBuilt) {
+            this.db.searchIndex.build(this.movies);
+        }
+
+        const byId = new Map(this.movies.map(movie => [movie.id, movie]));
+        const movies = list.movie_ids.map(id => byId.get(id)).filter(Boolean);
+        return this.db.filterMovies(movies, filters);
+    }
+
+    // Save a new version of a list as one undoable step
+    async updateList(list, movieIds, label) {
+        const before = { ...list };
+        const after = { ...list, movie_ids: movieIds };
+
+        await this.db.saveList(after);
+        this.undoManager.push({
+            label,
+            undo: () => this.db.saveList(before),
+            redo: () => this.db.saveList(after)
+        });
+
+        this.lists = await this.db.getAllLists();
+        this.updateListPicker();
+        await this.filterAndDisplayMovies();
+    }
+
+    // Drag a card onto another card to move it there in the active list
+    setupListDragging() {
+        const grid = document.getElementById('moviesGrid');
+        const clearMarkers = () => {
+            grid.querySelectorAll('.dragging, .drag-over').forEach(card => card.classList.remove('dragging', 'drag-over'));
+        };
+
+        grid.addEventListener('dragstart', (e) => {
+            const card = e.target.closest('.movie-card');
+            if (!card || this.activeListId === null || this.selectionMode) return;
+
+            this.draggedMovieId = this.getCardMovieId(card);
+            card.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', card.dataset.id);
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            const card = e.target.closest('.movie-card');
+            if (!card || this.draggedMovieId === null) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            grid.querySelectorAll('.drag-over').forEach(other => {
+                if (other !== card) other.classList.remove('drag-over');
+            });
+            card.classList.add('drag-over');
+        });
+
+        grid.addEventListener('drop', (e) => {
+            const card = e.target.closest('.movie-card');
+            if (!card || this.draggedMovieId === null) return;
+
+            e.preventDefault();
+            const targetId = this.getCardMovieId(card);
+            const movedId = this.draggedMovieId;
+            this.draggedMovieId = null;
+            clearMarkers();
+
+            if (targetId !== null && targetId !== movedId) {
+                this.moveInActiveList(movedId, targetId);
+            }
+        });
+
+        grid.addEventListener('dragend', () => {
+            this.draggedMovieId = null;
+            clearMarkers();
+        });
+    }
+
+    // Move a movie to the position of another one in the active list
+    async moveInActiveList(movieId, targetId) {
+        const list = this.getActiveList();
+        if (!list) return;
+
+        const movieIds = list.movie_ids.slice();
+        const from = movieIds.indexOf(movieId);
+        const to = movieIds.indexOf(targetId);
+        if (from === -1 || to === -1) return;
+
+        movieIds.splice(from, 1);
+        movieIds.splice(to, 0, movieId);
+
+        try {
+            await this.updateList(list, movieIds, `Urutkan "${list.name}"`);
+        } catch (error) {
+            console.error('Error reordering list:', error);
+            this.showNotification('Gagal mengubah urutan: ' + error.message, 'error');
+        }
+    }
+
+    async removeFromActiveList(movieId) {
+        const list = this.getActiveList();
+        if (!list) return;
+
+        try {
+            await this.updateList(list, list.movie_ids.filter(id => id !== movieId), `Keluarkan dari "${list.name}"`);
+            this.showUndoableNotification(`Film dikeluarkan dari "${list.name}"`);
+        } catch (error) {
+            console.error('Error removing from list:', error);
+            this.showNotification('Gagal mengubah daftar: ' + error.message, 'error');
+        }
+    }
+
+    // "Daftar (2)" when the name is taken
+    getUniqueListName(name) {
+        const taken = new Set(this.lists.map(list => list.name.toLowerCase()));
+        let candidate = name;
+        for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+            candidate = `${name} (${i})`;
+        }
+        return candidate;
+    }
+
+    // Create a list as one undoable step; resolves to its id
+    async createList(name, movieIds = []) {
+        const list = { name: this.getUniqueListName(name), movie_ids: movieIds };
+        list.id = await this.db.saveList(list);
+
+        this.undoManager.push({
+            label: `Buat daftar "${list.name}"`,
+            undo: () => this.db.deleteList(list.id),
+            redo: () => this.db.saveList(list)
+        });
+
+        this.lists = await this.db.getAllLists();
+        this.updateListPicker();
+        return list.id;
+    }
+
+    // Add the selected movies to an existing or a new list
+    async addSelectionToList() {
+        const ids = Array.from(this.selectedIds);
+        let choice = null;
+
+        await this.showDialog({
+            title: 'Tambah ke Daftar',
+            content: `
+                <div class="form-group">
+                    <label for="listChoice">Daftar</label>
+                    <select id="listChoice">
+                        ${this.lists.map(list => `<option value="${list.id}">${this.escapeHtml(list.name)} (${list.movie_ids.length})</option>`).join('')}
+                        <option value="new">+ Daftar baru…</option>
+                    </select>
+                </div>
+                <div class="form-group" id="newListGroup">
+                    <label for="newListName">Nama daftar baru</label>
+                    <input type="text" id="newListName" placeholder="Contoh: Maraton Nolan">
+                    <div class="form-error"></div>
+                </div>
+            `,
+            actions: [
+                { label: 'Batal', value: null },
+                { label: `Tambahkan ${ids.length} film`, value: 'add', className: 'submit-btn' }
+            ],
+            onOpen: (body) => {
+                const select = body.querySelector('#listChoice');
+                const toggle = () => {
+                    body.querySelector('#newListGroup').style.display = select.value === 'new' ? 'block' : 'none';
+                };
+                select.addEventListener('change', toggle);
+                toggle();
+            },
+            onAction: (action, body) => {
+                if (!action) return true;
+
+                const value = body.querySelector('#listChoice').value;
+                const name = body.querySelector('#newListName').value.trim();
+                if (value === 'new' && !name) {
+                    body.querySelector('.form-error').textContent = 'Nama daftar tidak boleh kosong';
+                    return false;
+                }
+                choice = value === 'new' ? { name } : { id: parseInt(value) };
+                return true;
+            }
+        });
+
+        if (!choice) return;
+
+        try {
+            if (choice.name) {
+                await this.createList(choice.name, ids);
+                this.showUndoableNotification(`Daftar "${choice.name}" dibuat dengan ${ids.length} film`);
+            } else {
+                const list = this.lists.find(l => l.id === choice.id);
+                const added = ids.filter(id => !list.movie_ids.includes(id));
+                await this.updateList(list, list.movie_ids.concat(added), `Tambah ke "${list.name}"`);
+                this.showUndoableNotification(`${added.length} film ditambahkan ke "${list.name}"`);
+            }
+        } catch (error) {
+            console.error('Error adding to list:', error);
+            this.showNotification('Gagal menambah ke daftar: ' + error.message, 'error');
+        }
+    }
+
+    // Create, rename, export, import and delete lists
+    async openListManager() {
+        const render = (body) => {
+            body.querySelector('.list-manager').innerHTML = this.lists.length
+                ? this.lists.map(list => `
+                    <li class="list-manager-item" data-list-id="${list.id}">
+                        <span><strong>${this.escapeHtml(list.name)}</strong> <small>${list.movie_ids.length} film</small></span>
+                        <span class="list-manager-actions">
+                            <button type="button" class="log-btn" data-list-action="show">Tampilkan</button>
+                            <button type="button" class="log-btn" data-list-action="rename">Ubah nama</button>
+                            <button type="button" class="log-btn" data-list-action="export">📤 Export</button>
+                            <button type="button" class="log-btn" data-list-action="delete">🗑️</button>
+                        </span>
+                    </li>
+                `).join('')
+                : '<li class="list-empty">Belum ada daftar. Pilih film dengan "☑️ Pilih" lalu "📋 Ke daftar", atau buat daftar kosong.</li>';
+        };
+
+        const choice = await this.showDialog({
+            title: '📋 Daftar Film',
+            content: '<ul class="list-manager"></ul>',
+            actions: [
+                { label: 'Tutup', value: null },
+                { label: '📥 Import daftar', value: 'import' },
+                { label: '+ Daftar baru', value: 'new', className: 'submit-btn' }
+            ],
+            onOpen: (body) => {
+                render(body);
+                body.addEventListener('click', async (e) => {
+                    const button = e.target.closest('[data-list-action]');
+                    if (!button) return;
+
+                    const list = this.lists.find(l => l.id === parseInt(button.closest('[data-list-id]').dataset.listId));
+                    if (!list) return;
+
+                    const action = button.dataset.listAction;
+                    if (action === 'show') {
+                        this.closeDialog();
+                        this.setActiveList(list.id);
+                    } else if (action === 'export') {
+                        this.exportList(list);
+                    } else if (action === 'rename') {
+                        // The name prompt uses the shared dialog, so come back to the manager afterwards
+                        this.closeDialog();
+                        const name = await this.promptText({ title: 'Ubah Nama Daftar', label: 'Nama daftar', value: list.name });
+                        if (name && name !== list.name) {
+                            await this.renameList(list, name);
+                        }
+                        this.openListManager();
+                    } else if (action === 'delete') {
+                        await this.deleteList(list);
+                        render(body);
+                    }
+                });
+            },
+            onAction: (action) => {
+                if (action === 'import') {
+                    document.getElementById('listImportFile').click();
+                }
+                return true;
+            }
+        });
+
+        if (choice === 'new') {
+            const name = await this.promptText({ title: 'Daftar Baru', label: 'Nama daftar', confirmLabel: 'Buat' });
+            if (name) {
+                try {
+                    await this.createList(name);
+                } catch (error) {
+                    this.showNotification('Gagal membuat daftar: ' + error.message, 'error');
+                }
+            }
+            this.openListManager();
+        }
+    }
+
+    async renameList(list, name) {
+        try {
+            await this.updateList({ ...list, name: this.getUniqueListName(name) }, list.movie_ids, `Ubah nama "${list.name}"`);
+        } catch (error) {
+            console.error('Error renaming list:', error);
+            this.showNotification('Gagal mengubah nama daftar: ' + error.message, 'error');
+        }
+    }
+
+    // Delete a list (the movies stay in the collection); undo saves it back with the same id
+    async deleteList(list) {
+        try {
+            await this.db.deleteList(list.id);
+            this.undoManager.push({
+                label: `Hapus daftar "${list.name}"`,
+                undo: () => this.db.saveList(list),
+                redo: () => this.db.deleteList(list.id)
+            });
+
+            this.lists = await this.db.getAllLists();
+            this.updateListPicker();
+            await this.filterAndDisplayMovies();
+            this.showUndoableNotification(`Daftar "${list.name}" dihapus`);
+        } catch (error) {
+            console.error('Error deleting list:', error);
+            this.showNotification('Gagal menghapus daftar: ' + error.message, 'error');
+        }
+    }
+
+    // Export a list as JSON; title, year and directors let another collection match the movies
+    exportList(list) {
+        const byId = new Map(this.movies.map(movie => [movie.id, movie]));
+        const data = {
+            type: 'movie-list',
+            version: 1,
+            name: list.name,
+            exported_at: new Date().toISOString(),
+            movies: list.movie_ids
+                .map(id => byId.get(id))
+                .filter(Boolean)
+                .map(movie => ({ id: movie.id, title: movie.title, year: movie.year, directors: movie.directors }))
+        };
+
+        const dataBlob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `list-${list.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'film'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.showNotification(`Daftar "${list.name}" berhasil diekspor!`, 'success');
+    }
+
+    // Import an exported list as a new list; movies are matched by id, then by title + year
+    async importList(file) {
+        if (!file) return;
+
+        // Clear file input so the same file can be picked again
+        document.getElementById('listImportFile').value = '';
+
+        let data;
+        try {
+            data = JSON.parse(await this.readFileAsText(file));
+            if (!data || data.type !== 'movie-list' || !Array.isArray(data.movies)) {
+                throw new Error('Invalid format');
+            }
+        } catch (error) {
+            console.error('List import error:', error);
+            this.showNotification('Gagal mengimport daftar. Pastikan file berasal dari export daftar!', 'error');
+            return;
+        }
+
+        const byId = new Map(this.movies.map(movie => [String(movie.id), movie]));
+        const byKey = new Map(this.movies.map(movie => [this.getMovieMatchKey(movie), movie]));
+        const movieIds = [];
+        const missing = [];
+
+        data.movies.forEach(entry => {
+            const movie = byId.get(String(entry.id)) || byKey.get(this.getMovieMatchKey(entry));
+            if (movie) {
+                movieIds.push(movie.id);
+            } else {
+                missing.push(entry.title);
+            }
+        });
+
+        try {
+            const id = await this.createList(data.name || file.name.replace(/\.json$/i, ''), movieIds);
+            this.setActiveList(id);
+
+            const message = `Daftar diimport dengan ${movieIds.length} film`;
+            if (missing.length) {
+                this.showNotification(`${message}; ${missing.length} film tidak ada di koleksi: ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? ', …' : ''}`, 'error', { duration: 8000 });
+            } else {
+                this.showUndoableNotification(message);
+            }
+        } catch (error) {
+            console.error('List import error:', error);
+            this.showNotification('Gagal mengimport daftar: ' + error.message, 'error');
+        }
+    }
+
+    // Download the selected movies in the same JSON format as the full export
+    exportSelection() {
+        const movies = this.movies.filter(movie => this.selectedIds.has(movie.id));
+
+        const dataBlob = new Blob([JSON.stringify(movies, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(dataBlob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `movie-selection-${new Date().toISOString().split('T')[0]}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.showNotification(`${movies.length} film berhasil diekspor!`, 'success');
+    }
+
+    // Remove every card from the grid
+    clearGrid() {
+        const grid = document.getElementById('moviesGrid');
+        grid.innerHTML = '';
+        this.cardCache.clear();
+        this.displayedMovies = [];
+    }
+
+    // Build the DOM node for one movie card
+    createCardElement(movie) {
+        const template = document.createElement('template');
+        template.innerHTML = this.generateMovieCard(movie).trim();
+        return template.content.firstElementChild;
+    }
+
+    // Generate HTML for a single movie card
+    generateMovieCard(movie) {
+        return `
+            <div class="movie-card" data-id="${movie.id}">
+                <div class="movie-poster">
+                    <input type="checkbox" class="card-select" aria-label="Pilih ${this.escapeAttribute(movie.title)}">
+                    ${this.generateMoviePoster(movie)}
+                </div>
+                <div class="movie-info">
+                    <h3 class="movie-title">${this.escapeHtml(movie.title)}</h3>
+                    <p class="movie-year">${movie.year || 'N/A'}</p>
+                    <span class="movie-genre">${this.escapeHtml(movie.genres.join(', ') || 'Unknown')}</span>
+                    <p class="movie-director">Director: ${this.escapeHtml(movie.directors.join(', ') || 'Unknown')}</p>
+                    ${this.generateMovieDetails(movie)}
+                    ${this.generateRating(movie)}
+                    ${movie.review ? `<p class="movie-description">${this.escapeHtml(movie.review)}</p>` : ''}
+                    ${this.generateStatus(movie)}
+                    <div class="movie-actions">
+                        <button class="edit-btn" data-action="edit">Edit</button>
+                        <button class="log-btn" data-action="log" title="Catat tontonan">📅</button>
+                        <button class="delete-btn" data-action="delete">Hapus</button>
+                        <button class="log-btn list-remove-btn" data-action="remove-from-list" title="Keluarkan dari daftar">✕</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Runtime, language, country, leading cast and tags of a card, when known
+    generateMovieDetails(movie) {
+        const meta = [
+            movie.runtime ? `${movie.runtime} mnt` : '',
+            movie.language,
+            movie.country
+        ].filter(Boolean);
+        const cast = (movie.cast || []).slice(0, 3);
+        const tags = movie.tags || [];
+
+        return `
+            ${meta.length > 0 ? `<p class="movie-meta">${this.escapeHtml(meta.join(' · '))}</p>` : ''}
+            ${cast.length > 0 ? `<p class="movie-cast">Pemeran: ${this.escapeHtml(cast.join(', '))}</p>` : ''}
+            ${tags.length > 0 ? `<div class="movie-tags">${tags.map(tag => `<span class="movie-tag">#${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+        `;
+    }
+
+    // Show or hide the "load more" button below the grid
+    updateLoadMore() {
+        const loadMore = document.getElementById('loadMore');
+        if (!loadMore) return;
+
+        const remaining = this.totalResults - this.displayedMovies.length;
+        if (remaining > 0) {
+            loadMore.style.display = 'block';
+            document.getElementById('loadMoreBtn').textContent = `Muat lebih banyak (${remaining} lagi)`;
+        } else {
+            loadMore.style.display = 'none';
+        }
+    }
+
+    // Infinite scroll: load the next page when the sentinel becomes visible
+    setupInfiniteScroll() {
+        document.getElementById('loadMoreBtn').addEventListener('click', () => {
+            this.loadMoreMovies();
+        });
+
+        if (!('IntersectionObserver' in window)) {
+            return;
+        }
+
+        this.scrollObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreMovies();
+            }
+        }, { rootMargin: '400px' });
+        this.scrollObserver.observe(document.getElementById('loadMore'));
+    }
+
+    // Utility function to escape HTML to prevent XSS
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Escape text for use inside a double-quoted HTML attribute
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    // Generate star rating display
+    generateStars(rating) {
+        const fullStars = Math.floor(rating / 2);
+        const halfStar = (rating / 2) % 1 >= 0.5;
+        const emptyStars = 5 - fullStars - (halfStar ? 1 : 0);
+
+        let stars = '';
+        for (let i = 0; i < fullStars; i++) {
+            stars += '<span class="star">★</span>';
+        }
+        if (halfStar) {
+            stars += '<span class="star">☆</span>';
+        }
+        for (let i = 0; i < emptyStars; i++) {
+            stars += '<span class="star" style="opacity: 0.3">☆</span>';
+        }
+
+        return stars;
+    }
+
+    // Generate the watch status badge and viewing summary for a movie card
+    generateStatus(movie) {
+        const status = this.statuses[movie.status] || this.statuses.watched;
+        const summary = this.viewingSummary.get(movie.id);
+        const viewings = summary
+            ? `<span class="movie-viewings" title="Terakhir ditonton ${this.formatDate(summary.last)}">👁 ${summary.count}x</span>`
+            : '';
+
+        return `
+            <div class="movie-status-row">
+                <span class="movie-status status-${movie.status || 'watched'}">${status.icon} ${status.label}</span>
+                ${viewings}
+            </div>
+        `;
+    }
+
+    // Format an ISO date (YYYY-MM-DD...) for display
+    formatDate(value) {
+        if (!value) return '-';
+        const date = new Date(value);
+        return isNaN(date) ? value : date.toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    // Generate personal rating block for a movie card
+    generateRating(movie) {
+        const rewatchBadge = movie.rewatch
+            ? '<span class="movie-rewatch" title="Layak ditonton ulang">🔁</span>'
+            : '';
+
+        if (typeof movie.rating !== 'number') {
+            return rewatchBadge ? `<div class="movie-rating">${rewatchBadge}</div>` : '';
+        }
+
+        return `
+            <div class="movie-rating" title="Rating pribadi: ${movie.rating}/10">
+                ${this.generateStars(movie.rating)}
+                <span class="rating-value">${movie.rating}/10</span>
+                ${rewatchBadge}
+            </div>
+        `;
+    }
+
+    // Open modal for add/edit
+    openModal(movie = null) {
+        const modal = document.getElementById('movieModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const form = document.getElementById('movieForm');
+
+        // Reset form with clear
+        form.reset();
+        this.clearFormValidation();
+        clearTimeout(this.duplicateWarningTimeout);
+        document.getElementById('duplicateWarning').innerHTML = '';
+
+        if (movie) {
+            // Edit mode
+            modalTitle.textContent = 'Edit Film';
+            document.getElementById('movieId').value = movie.id;
+            Object.entries(this.formInputs).forEach(([field, inputId]) => {
+                document.getElementById(inputId).value = this.joinList(movie[field] ?? '');
+            });
+            // Only open the extra details when the movie has some
+            document.getElementById('movieDetails').open = ['original_title', 'cast', 'runtime', 'language', 'country', 'tags', 'imdb_id', 'tmdb_id']
+                .some(field => this.joinList(movie[field] ?? '') !== '');
+            document.getElementById('rating').value = typeof movie.rating === 'number' ? movie.rating : '';
+            document.getElementById('review').value = movie.review || '';
+            document.getElementById('rewatch').checked = !!movie.rewatch;
+            document.getElementById('status').value = movie.status || 'watched';
+            this.renderMovieHistory(movie.id);
+        } else {
+            // Add mode
+            modalTitle.textContent = 'Tambah Film Baru';
+            document.getElementById('movieId').value = '';
+            document.getElementById('movieDetails').open = false;
+            document.getElementById('movieHistory').style.display = 'none';
+        }
+
+        this.resetPosterInput(movie);
+
+        modal.style.display = 'block';
+        console.log('🚀 Modal opened:', movie ? 'Edit mode' : 'Add mode');
+    }
+
+    // Create the configured metadata provider, or none
+    setMetadataProvider(settings) {
+        this.metadataSettings = { provider: settings.provider || '', apiKey: settings.apiKey || '' };
+        const definition = this.metadataProviders[this.metadataSettings.provider];
+
+        this.metadataProvider = definition && (!definition.needsKey || this.metadataSettings.apiKey)
+            ? definition.create({ apiKey: this.metadataSettings.apiKey })
+            : null;
+    }
+
+    // Pick the metadata provider and store its API key in settings
+    async openMetadataSettings() {
+        const { provider, apiKey } = this.metadataSettings;
+        const options = [['', 'Tidak ada (isi manual)'], ...Object.entries(this.metadataProviders).map(([name, definition]) => [name, definition.label])]
+            .map(([value, label]) => `<option value="${value}" ${value === provider ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        const result = await this.showDialog({
+            title: 'Sumber Metadata Film',
+            content: `
+                <p class="import-summary">Saran judul di form tambah film mengisi tahun, genre, sutradara dan poster secara otomatis.</p>
+                <div class="form-group">
+                    <label for="metadataProvider">Sumber</label>
+                    <select id="metadataProvider">${options}</select>
+                </div>
+                <div class="form-group">
+                    <label for="metadataApiKey">API Key</label>
+                    <input type="text" id="metadataApiKey" value="${this.escapeAttribute(apiKey)}" autocomplete="off">
+                    <small>Diperlukan untuk TMDB dan OMDb, disimpan hanya di browser ini</small>
+                </div>
+                <p class="form-error" id="metadataError"></p>
+            `,
+            actions: [
+                { label: 'Batal', value: null },
+                { label: 'Simpan', value: 'save', className: 'submit-btn' }
+            ],
+            onAction: async (value, body) => {
+                if (value !== 'save') return true;
+
+                const settings = {
+                    provider: body.querySelector('#metadataProvider').value,
+                    apiKey: body.querySelector('#metadataApiKey').value.trim()
+                };
+                const definition = this.metadataProviders[settings.provider];
+                if (definition && definition.needsKey && !settings.apiKey) {
+                    body.querySelector('#metadataError').textContent = `API key ${definition.label} wajib diisi`;
+                    return false;
+                }
+
+                try {
+                    await this.db.saveSetting('metadata', settings);
+                    this.setMetadataProvider(settings);
+                    return true;
+                } catch (error) {
+                    body.querySelector('#metadataError').textContent = 'Gagal menyimpan pengaturan: ' + error.message;
+                    return false;
+                }
+            }
+        });
+
+        if (result === 'save') {
+            this.showNotification('Sumber metadata disimpan', 'success');
+        }
+    }
+
+    // Suggest matches while typing a title; picking one fills the form
+    setupTitleSuggestions() {
+        const titleInput = document.getElementById('title');
+        const list = document.getElementById('titleSuggestions');
+
+        titleInput.addEventListener('input', () => {
+            clearTimeout(this.suggestionTimeout);
+            this.suggestionTimeout = setTimeout(() => this.updateTitleSuggestions(titleInput.value), 300);
+        });
+
+        titleInput.addEventListener('keydown', (e) => {
+            const items = Array.from(list.querySelectorAll('.suggestion-item'));
+            if (items.length === 0) return;
+
+            const activeIndex = items.findIndex(item => item.classList.contains('active'));
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                const next = e.key === 'ArrowDown'
+                    ? (activeIndex + 1) % items.length
+                    : (activeIndex - 1 + items.length) % items.length;
+                items.forEach((item, i) => item.classList.toggle('active', i === next));
+            } else if (e.key === 'Enter' && activeIndex !== -1) {
+                e.preventDefault();
+                this.applySuggestion(items[activeIndex].dataset.id);
+            } else if (e.key === 'Escape') {
+                this.hideTitleSuggestions();
+            }
+        });
+
+        // mousedown fires before the title input loses focus
+        list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                e.preventDefault();
+                this.applySuggestion(item.dataset.id);
+            }
+        });
+
+        titleInput.addEventListener('blur', () => this.hideTitleSuggestions());
+    }
+
+    async updateTitleSuggestions(query) {
+        const requestId = ++this.suggestionRequestId;
+        const provider = this.metadataProvider;
+
+        // Without a provider, or offline with a remote one, the form stays manual
+        if (!provider || query.trim().length < 2 || (provider.isRemote && !navigator.onLine)) {
+            this.hideTitleSuggestions();
+            return;
+        }
+
+        try {
+            const year = parseInt(document.getElementById('year').value) || null;
+            const results = await provider.search(query.trim(), { year });
+
+            // Ignore answers to queries the user has already typed past
+            if (requestId !== this.suggestionRequestId) return;
+
+            const list = document.getElementById('titleSuggestions');
+            if (results.length === 0) {
+                this.hideTitleSuggestions();
+                return;
+            }
+
+            list.innerHTML = results.slice(0, 8).map(result => `
+                <li class="suggestion-item" data-id="${this.escapeAttribute(String(result.id))}">
+                    ${result.poster ? `<img src="${this.escapeAttribute(result.poster)}" alt="" loading="lazy">` : '<span class="suggestion-no-poster">🎬</span>'}
+                    <span>${this.escapeHtml(result.title)}${result.year ? ` <small>(${result.year})</small>` : ''}</span>
+                </li>
+            `).join('');
+            list.classList.add('open');
+        } catch (error) {
+            console.warn('⚠️ Metadata search failed:', error);
+            this.hideTitleSuggestions();
+        }
+    }
+
+    hideTitleSuggestions() {
+        const list = document.getElementById('titleSuggestions');
+        list.classList.remove('open');
+        list.innerHTML = '';
+    }
+
+    // Fill the form with the details of a picked suggestion
+    async applySuggestion(id) {
+        this.hideTitleSuggestions();
+        // A pending search must not reopen the list
+        this.suggestionRequestId++;
+
+        try {
+            const details = await this.metadataProvider.getDetails(id);
+            Object.entries(this.formInputs).forEach(([field, inputId]) => {
+                const value = this.joinList(details[field] ?? '');
+                if (value === '') return;
+                const input = document.getElementById(inputId);
+                input.value = value;
+                // Run the real-time validation for the new value
+                input.dispatchEvent(new Event('input'));
+            });
+            // The filled-in title must not search again
+            clearTimeout(this.suggestionTimeout);
+        } catch (error) {
+            console.error('Error loading movie details:', error);
+            this.showNotification('Gagal mengambil detail film: ' + error.message, 'error');
+        }
+    }
+
+    // Clear form validation states
+    clearFormValidation() {
+        const inputs = document.querySelectorAll('#movieForm input, #movieForm textarea');
+        inputs.forEach(input => {
+            input.classList.remove('invalid');
+            input.style.borderColor = '';
+        });
+    }
+
+    // Close modal
+    closeModal() {
+        document.getElementById('movieModal').style.display = 'none';
+        this.hideTitleSuggestions();
+        this.setPosterPreview(null);
+        this.pendingPosterFile = null;
+        this.resetForm();
+    }
+
+    // Validate movie form - NEW FUNCTION
+    validateMovieForm() {
+        return this.validateMovieData({
+            ...this.readMovieForm(),
+            rating: document.getElementById('rating').value
+        });
+    }
+
+    // Trimmed values of the movie modal inputs, keyed by record field
+    readMovieForm() {
+        const values = {};
+        Object.entries(this.formInputs).forEach(([field, inputId]) => {
+            values[field] = document.getElementById(inputId).value.trim();
+        });
+        return values;
+    }
+
+    // "A, B" for list fields, the value itself otherwise
+    joinList(value) {
+        return Array.isArray(value) ? value.join(', ') : value;
+    }
+
+    // Validate movie data from the form or an import row against the movie schema
+    validateMovieData(data) {
+        const errors = this.getMovieErrors(data);
+        return errors.length > 0
+            ? { isValid: false, message: errors[0].message, errors }
+            : { isValid: true, message: 'Form valid' };
+    }
+
+    // Schema errors of a movie from the form, a file or a backup, as [{ field, message }]
+    getMovieErrors(movie) {
+        if (!movie || typeof movie !== 'object') {
+            return [{ field: null, message: 'Data film tidak valid' }];
+        }
+        return this.db.movieSchema.validate(this.db.prepareMovieRecord({ ...movie }));
+    }
+
+    // Set form loading state - NEW FUNCTION
+    setFormLoadingState(isLoading) {
+        const submitBtn = document.querySelector('.submit-btn');
+        const formInputs = document.querySelectorAll('#movieForm input[type="text"], #movieForm input[type="number"], #movieForm input[type="url"], #movieForm input[type="checkbox"], #movieForm textarea, #movieForm select');
+
+        if (isLoading) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Menyimpan...';
+            submitBtn.classList.add('loading');
+            formInputs.forEach(input => input.disabled = true);
+        } else {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Simpan';
+            submitBtn.classList.remove('loading');
+            formInputs.forEach(input => input.disabled = false);
+        }
+    }
+
+    // Reset form - NEW FUNCTION
+    resetForm() {
+        const form = document.getElementById('movieForm');
+        form.reset();
+        document.getElementById('movieId').value = '';
+
+        // Remove validation classes
+        const inputs = form.querySelectorAll('input, textarea');
+        inputs.forEach(input => {
+            input.classList.remove('invalid', 'valid');
+        });
+    }
+
+    // Save movie (add or edit) - ENHANCED VERSION
+    async saveMovie() {
+        try {
+            console.log('🎬 Save movie started');
+
+            // 1. VALIDATE FORM FIRST
+            const validationResult = this.validateMovieForm();
+            if (!validationResult.isValid) {
+                this.showNotification(validationResult.message, 'error');
+                return;
+            }
+
+            // 2. COLLECT AND PREPARE MOVIE DATA
+            const movieId = document.getElementById('movieId').value;
+            const ratingValue = document.getElementById('rating').value.trim();
+            const form = this.readMovieForm();
+            const movieData = {
+                ...form,
+                year: parseInt(form.year),
+                genres: DatabaseManager.splitList(form.genres),
+                directors: DatabaseManager.splitList(form.directors),
+                cast: DatabaseManager.splitList(form.cast),
+                tags: DatabaseManager.splitList(form.tags),
+                runtime: form.runtime === '' ? null : parseInt(form.runtime),
+                poster: form.poster || null,
+                rating: ratingValue === '' ? null : parseFloat(ratingValue),
+                review: document.getElementById('review').value.trim(),
+                rewatch: document.getElementById('rewatch').checked,
+                status: document.getElementById('status').value
+            };
+
+            console.log('📝 Movie data collected:', movieData);
+
+            // 3. SET MOVIE ID
+            if (movieId) {
+                movieData.id = movieId;
+            } else {
+                movieData.id = this.generateMovieId();
+            }
+
+            // 4. SHOW LOADING STATE
+            this.setFormLoadingState(true);
+
+            // 5. SAVE TO DATABASE (the previous version is kept for undo)
+            console.log('💾 Saving to database...');
+            const { before, after } = await this.saveMovieToDB(movieData);
+            console.log('✅ Movie saved to database with ID:', movieData.id);
+
+            // 5b. Store, download or remove the local poster copy
+            await this.savePosterForMovie(movieData.id, movieData.poster);
+
+            // 5c. Make the save undoable
+            this.pushSaveUndo(before, after);
+
+            // 6. CRITICAL: Reload movies from database to update local array
+            console.log('📂 Reloading movies from database...');
+            await this.loadMovies();
+            console.log('📊 Total movies in local array:', this.movies.length);
+            console.log('🎬 Latest movie data:', this.movies[this.movies.length - 1]);
+
+            // 7. Update UI components
+            this.updateGenreFilter();
+
+            // 8. Display fresh movie data with the active search, filter and sort order
+            console.log('🔄 Displaying fresh movie data...');
+            await this.filterAndDisplayMovies();
+
+            // 9. CLOSE MODAL AND RESET STATE
+            this.closeModal();
+            this.setFormLoadingState(false);
+
+            // 10. Show success message
+            const successMessage = movieId ? 'Film berhasil diperbarui!' : 'Film berhasil ditambahkan!';
+            this.showUndoableNotification(successMessage);
+            console.log('🎉 Save movie completed successfully');
+
+        } catch (error) {
+            console.error('❌ Error saving movie:', error);
+            this.setFormLoadingState(false);
+
+            // Show specific error messages in Indonesian
+            let errorMessage = 'Gagal menyimpan film';
+            if (error.name === 'ConstraintError') {
+                errorMessage = 'Film dengan ID ini sudah ada';
+            } else if (error.name === 'QuotaExceededError') {
+                errorMessage = 'Storage penuh, hapus beberapa film terlebih dahulu';
+            } else if (error.name === 'InvalidStateError') {
+                errorMessage = 'Database tidak tersedia, refresh halaman';
+            } else if (error.message) {
+                errorMessage = error.message;
+            }
+
+            this.showNotification(errorMessage, 'error');
+        }
+    }
+
+    // Show the shared dialog. Resolves with the value of the clicked action, or null when closed.
+    // onAction(value, body) can return false to keep the dialog open (e.g. after a validation error).
+    showDialog({ title, content, actions = [{ label: 'Tutup', value: null }], onOpen = null, onAction = null, wide = false }) {
+        const modal = document.getElementById('dialogModal');
+        const body = document.getElementById('dialogBody');
+
+        // Close a dialog that is still open
+        if (this.dialogResolve) {
+            this.dialogResolve(null);
+        }
+
+        document.getElementById('dialogTitle').textContent = title;
+        body.innerHTML = content;
+        modal.querySelector('.modal-content').classList.toggle('wide', wide);
+
+        const actionsContainer = document.getElementById('dialogActions');
+        actionsContainer.innerHTML = actions.map((action, i) =>
+            `<button type="button" class="${action.className || 'cancel-btn'}" data-index="${i}">${this.escapeHtml(action.label)}</button>`
+        ).join('');
+
+        return new Promise(resolve => {
+            this.dialogResolve = (value) => {
+                this.dialogResolve = null;
+                modal.style.display = 'none';
+                resolve(value);
+            };
+
+            actionsContainer.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', async () => {
+                    const action = actions[parseInt(button.dataset.index)];
+                    if (onAction && (await onAction(action.value, body)) === false) {
+                        return;
+                    }
+                    if (this.dialogResolve) {
+                        this.dialogResolve(action.value);
+                    }
+                });
+            });
+
+            modal.style.display = 'block';
+            if (onOpen) {
+                onOpen(body);
+            }
+        });
+    }
+
+    // Close the shared dialog without choosing an action
+    closeDialog() {
+        if (this.dialogResolve) {
+            this.dialogResolve(null);
+        }
+    }
+
+    // Log a viewing for a movie and show its watch history
+    async openViewingDialog(id) {
+        const movie = this.movies.find(m => m.id === id);
+        if (!movie) return;
+
+        const renderHistory = async (body) => {
+            const viewings = await this.db.getViewings(id);
+            const list = body.querySelector('.viewing-history');
+            list.innerHTML = viewings.length
+                ? viewings.map(viewing => `
+                    <li>
+                        <span class="viewing-date">${this.formatDate(viewing.watched_at)}</span>
+                        ${typeof viewing.rating === 'number' ? `<span class="rating-value">${viewing.rating}/10</span>` : ''}
+                        ${viewing.note ? `<span class="viewing-note">${this.escapeHtml(viewing.note)}</span>` : ''}
+                        <button type="button" class="viewing-delete" data-id="${viewing.id}" title="Hapus catatan">✕</button>
+                    </li>
+                `).join('')
+                : '<li class="chart-empty">Belum ada catatan tontonan</li>';
+
+            list.querySelectorAll('.viewing-delete').forEach(button => {
+                button.addEventListener('click', async () => {
+                    await this.db.deleteViewing(parseInt(button.dataset.id));
+                    await renderHistory(body);
+                    await this.refreshViewingSummary();
+                });
+            });
+        };
+
+        const today = new Date().toISOString().split('T')[0];
+        await this.showDialog({
+            title: `Catat Tontonan: ${movie.title}`,
+            content: `
+                <div class="form-group">
+                    <label for="viewingDate">Tanggal Menonton</label>
+                    <input type="date" id="viewingDate" value="${today}" max="${today}">
+                </div>
+                <div class="form-group">
+                    <label for="viewingRating">Rating Tontonan Ini (opsional)</label>
+                    <input type="number" id="viewingRating" min="0" max="10" step="0.5">
+                </div>
+                <div class="form-group">
+                    <label for="viewingNote">Catatan (opsional)</label>
+                    <textarea id="viewingNote" rows="2" placeholder="Nonton di bioskop bersama teman..."></textarea>
+                </div>
+                <h4 class="dialog-subtitle">Riwayat Tontonan</h4>
+                <ul class="viewing-history"></ul>
+            `,
+            actions: [
+                { label: 'Tutup', value: null },
+                { label: 'Catat', value: 'log', className: 'submit-btn' }
+            ],
+            onOpen: (body) => renderHistory(body),
+            onAction: async (value, body) => {
+                if (value !== 'log') return true;
+
+                const watchedAt = body.querySelector('#viewingDate').value;
+                const ratingValue = body.querySelector('#viewingRating').value.trim();
+                const rating = ratingValue === '' ? null : parseFloat(ratingValue);
+
+                if (!watchedAt) {
+                    this.showNotification('Tanggal menonton wajib diisi!', 'error');
+                    return false;
+                }
+                if (rating !== null && (isNaN(rating) || rating < 0 || rating > 10)) {
+                    this.showNotification('Rating harus antara 0-10!', 'error');
+                    return false;
+                }
+
+                try {
+                    await this.db.addViewing({
+                        movie_id: id,
+                        watched_at: watchedAt,
+                        rating,
+                        note: body.querySelector('#viewingNote').value.trim()
+                    });
+                    await this.refreshViewingSummary();
+                    this.showNotification('Tontonan berhasil dicatat!', 'success');
+                } catch (error) {
+                    console.error('❌ Error logging viewing:', error);
+                    this.showNotification('Gagal mencatat tontonan', 'error');
+                    return false;
+                }
+                return true;
+            }
+        });
+    }
+
+    // Reload viewing counts and refresh the cards and statistics that show them
+    async refreshViewingSummary() {
+        this.viewingSummary = await this.db.getViewingSummary();
+        this.filterAndDisplayMovies();
+        this.updateStatsDashboard();
+    }
+
+    // Random UUID for a new movie
+    generateMovieId() {
+        return this.db.generateId();
+    }
+
+    // Poster file picker, drag-and-drop and local copy toggle in the movie form
+    setupPosterInput() {
+        const dropZone = document.getElementById('posterDropZone');
+        const fileInput = document.getElementById('posterFile');
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) {
+                this.setPendingPoster(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('dragover');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+
+            const file = Array.from(e.dataTransfer.files).find(f => f.type.startsWith('image/'));
+            if (file) {
+                this.setPendingPoster(file);
+                return;
+            }
+
+            // An image dragged from another page arrives as a URL
+            const url = (e.dataTransfer.getData('text/uri-list') || e.dataTransfer.getData('text/plain')).split('\n')[0].trim();
+            if (/^https?:\/\//.test(url)) {
+                document.getElementById('poster').value = url;
+                document.getElementById('posterOffline').checked = true;
+            } else {
+                this.showNotification('Hanya file gambar yang bisa dipakai sebagai poster', 'error');
+            }
+        });
+
+        document.getElementById('posterRemoveBtn').addEventListener('click', () => {
+            this.pendingPosterFile = null;
+            this.setPosterPreview(null);
+            document.getElementById('posterOffline').checked = false;
+        });
+    }
+
+    // Show the stored poster of the movie being edited, or nothing for a new movie
+    async resetPosterInput(movie) {
+        this.pendingPosterFile = null;
+        this.setPosterPreview(null);
+
+        const hasStored = !!movie && this.storedPosters.has(movie.id);
+        document.getElementById('posterOffline').checked = movie ? hasStored : this.offlinePostersDefault;
+
+        if (hasStored) {
+            const poster = await this.db.getPoster(movie.id);
+            // The modal may have been reopened for another movie in the meantime
+            if (poster && document.getElementById('movieId').value === String(movie.id)) {
+                this.setPosterPreview(poster.full);
+            }
+        }
+    }
+
+    // Use an uploaded or dropped image as the poster
+    setPendingPoster(file) {
+        if (!file.type.startsWith('image/')) {
+            this.showNotification('Hanya file gambar yang bisa dipakai sebagai poster', 'error');
+            return;
+        }
+        this.pendingPosterFile = file;
+        this.setPosterPreview(file);
+        document.getElementById('posterOffline').checked = true;
+    }
+
+    setPosterPreview(blob) {
+        const preview = document.getElementById('posterPreview');
+        if (this.posterPreviewUrl) {
+            URL.revokeObjectURL(this.posterPreviewUrl);
+            this.posterPreviewUrl = null;
+        }
+
+        if (blob) {
+            this.posterPreviewUrl = URL.createObjectURL(blob);
+            preview.src = this.posterPreviewUrl;
+            preview.parentElement.classList.add('has-image');
+        } else {
+            preview.removeAttribute('src');
+            preview.parentElement.classList.remove('has-image');
+        }
+    }
+
+    // Keep the local poster copy in line with the form after a save
+    async savePosterForMovie(movieId, posterUrl) {
+        const keepOffline = document.getElementById('posterOffline').checked;
+
+        try {
+            if (!keepOffline) {
+                if (this.storedPosters.has(movieId)) {
+                    await this.db.deletePoster(movieId);
+                    this.storedPosters.delete(movieId);
+                    this.releasePosterUrl(movieId);
+                }
+            } else if (this.pendingPosterFile) {
+                await this.storePosterImage(movieId, this.pendingPosterFile, 'upload');
+            } else if (posterUrl) {
+                // Download again only when the URL changed
+                const stored = this.storedPosters.has(movieId) ? await this.db.getPoster(movieId) : null;
+                if (!stored || stored.source !== posterUrl) {
+                    await this.storePosterImage(movieId, await this.downloadPoster(posterUrl), posterUrl);
+                }
+            }
+
+            if (!document.getElementById('movieId').value) {
+                this.offlinePostersDefault = keepOffline;
+                await this.db.saveSetting('offlinePosters', keepOffline);
+            }
+        } catch (error) {
+            // The movie itself is already saved; only the local copy failed
+            console.warn('⚠️ Failed to store poster:', error);
+            this.showNotification('Film disimpan, tetapi poster gagal disimpan offline: ' + error.message, 'error');
+        }
+    }
+
+    // Fetch a remote poster; servers without CORS headers can't be stored
+    async downloadPoster(url) {
+        let response;
+        try {
+            response = await fetch(url, { mode: 'cors' });
+        } catch (error) {
+            throw new Error('server poster tidak mengizinkan unduhan (CORS) atau sedang offline');
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const blob = await response.blob();
+        if (!blob.type.startsWith('image/')) {
+            throw new Error('URL bukan file gambar');
+        }
+        return blob;
+    }
+
+    // Resize an image to the thumbnail and full size and store both
+    async storePosterImage(movieId, blob, source) {
+        const [thumbnail, full] = await Promise.all([
+            this.resizeImage(blob, ...this.posterSizes.thumbnail),
+            this.resizeImage(blob, ...this.posterSizes.full)
+        ]);
+
+        await this.db.savePoster(movieId, { thumbnail, full, source });
+        this.storedPosters.set(movieId, Date.now());
+        this.releasePosterUrl(movieId);
+    }
+
+    // Scale an image down to fit within maxWidth x maxHeight and encode it as JPEG
+    async resizeImage(blob, maxWidth, maxHeight) {
+        const image = await this.loadImage(blob);
+        const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(image.width * scale));
+        canvas.height = Math.max(1, Math.round(image.height * scale));
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(result => {
+                if (result) {
+                    resolve(result);
+                } else {
+                    reject(new Error('Gagal memproses gambar'));
+                }
+            }, 'image/jpeg', 0.85);
+        });
+    }
+
+    loadImage(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('File gambar tidak bisa dibaca'));
+            };
+            image.src = url;
+        });
+    }
+
+    // Refresh which movies have a stored poster and drop URLs of removed ones
+    async loadPosterIds() {
+        const ids = await this.db.getPosterIds();
+        const previous = this.storedPosters;
+        this.storedPosters = new Map(ids.map(id => [id, previous.get(id) || 0]));
+
+        Array.from(this.posterUrls.keys())
+            .filter(id => !this.storedPosters.has(id))
+            .forEach(id => this.releasePosterUrl(id));
+    }
+
+    // Object URL of a stored thumbnail, created once per poster version
+    async getPosterUrl(movieId) {
+        const version = this.storedPosters.get(movieId);
+        const cached = this.posterUrls.get(movieId);
+        if (cached && cached.version === version) {
+            return cached.url;
+        }
+
+        const poster = await this.db.getPoster(movieId);
+        if (!poster) return null;
+
+        this.releasePosterUrl(movieId);
+        const url = URL.createObjectURL(poster.thumbnail);
+        this.posterUrls.set(movieId, { version, url });
+        return url;
+    }
+
+    releasePosterUrl(movieId) {
+        const cached = this.posterUrls.get(movieId);
+        if (cached) {
+            URL.revokeObjectURL(cached.url);
+            this.posterUrls.delete(movieId);
+        }
+    }
+
+    // Fill in object URLs for stored posters that were rendered without one
+    async hydratePosters(container) {
+        const images = container.querySelectorAll('img[data-poster-id]:not([src])');
+
+        for (const image of images) {
+            try {
+                const url = await this.getPosterUrl(image.dataset.posterId);
+                if (url) {
+                    image.src = url;
+                } else {
+                    image.parentElement.classList.add('no-poster');
+                    image.remove();
+                }
+            } catch (error) {
+                console.warn('⚠️ Failed to load stored poster:', error);
+            }
+        }
+    }
+
+    // Undo of an edit writes the old record back; undo of an add moves the movie to the trash
+    pushSaveUndo(previous, saved) {
+        if (!saved) return;
+
+        if (previous) {
+            this.undoManager.push({
+                label: `Edit "${saved.title}"`,
+                undo: () => this.db.putMovies([previous], { source: 'undo' }),
+                redo: () => this.db.putMovies([saved], { source: 'undo' })
+            });
+        } else {
+            let trashIds = [];
+            this.undoManager.push({
+                label: `Tambah "${saved.title}"`,
+                undo: async () => {
+                    trashIds = await this.db.trashMovies([saved.id], { reason: 'add', source: 'undo' });
+                },
+                redo: async () => {
+                    await this.db.restoreFromTrash(trashIds, { source: 'undo' });
+                }
+            });
+        }
+    }
+
+    // Title reduced for duplicate matching: folded, without punctuation or a leading article
+    getDuplicateTitle(title) {
+        const tokens = SearchIndex.tokenize(title);
+        // A title of symbols only has no tokens; compare its normalized text instead
+        if (tokens.length === 0) return SearchIndex.normalize(title).trim().replace(/\s+/g, ' ');
+        return tokens.filter((token, i) => i > 0 || !['the', 'a', 'an'].includes(token)).join(' ') || tokens.join(' ');
+    }
+
+    // Similarity of two reduced titles from 0 to 1, based on edit distance; empty titles match nothing
+    getTitleSimilarity(a, b) {
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+        const longest = Math.max(a.length, b.length);
+        const maxDistance = Math.floor(longest * (1 - this.duplicateThreshold));
+        return 1 - SearchIndex.editDistance(a, b, maxDistance) / longest;
+    }
+
+    // Same title and year, or a close title within a year that shares a director.
+    // A movie without a year or directors yet (the add form) is not held against them.
+    isLikelyDuplicate(a, b, titles = new Map()) {
+        const titleOf = (movie) => {
+            if (!titles.has(movie)) titles.set(movie, this.getDuplicateTitle(movie.title));
+            return titles.get(movie);
+        };
+
+        const yearA = parseInt(a.year);
+        const yearB = parseInt(b.year);
+        const yearGap = yearA && yearB ? Math.abs(yearA - yearB) : 0;
+        if (yearGap > 1) return false;
+
+        const similarity = this.getTitleSimilarity(titleOf(a), titleOf(b));
+        if (similarity < this.duplicateThreshold) return false;
+        if (similarity === 1 && yearGap === 0) return true;
+
+        const directorsA = (a.directors || []).map(name => SearchIndex.normalize(name));
+        const directorsB = (b.directors || []).map(name => SearchIndex.normalize(name));
+        return directorsA.length === 0 || directorsB.length === 0 || directorsA.some(name => directorsB.includes(name));
+    }
+
+    // Groups of likely duplicates, oldest movie first in each group. Only movies at most a
+    // year apart are compared, so large collections stay fast.
+    findDuplicateGroups(movies) {
+        const byYear = new Map();
+        movies.forEach(movie => {
+            const year = parseInt(movie.year) || 0;
+            if (!byYear.has(year)) byYear.set(year, []);
+            byYear.get(year).push(movie);
+        });
+
+        // Union-find over movie ids
+        const parent = new Map(movies.map(movie => [movie.id, movie.id]));
+        const root = (id) => {
+            while (parent.get(id) !== id) id = parent.get(id);
+            return id;
+        };
+        const titles = new Map();
+
+        movies.forEach(movie => {
+            const year = parseInt(movie.year) || 0;
+            [year, year + 1].forEach(candidateYear => {
+                (byYear.get(candidateYear) || []).forEach(other => {
+                    if (other === movie || (candidateYear === year && String(other.id) <= String(movie.id))) return;
+                    if (this.isLikelyDuplicate(movie, other, titles)) {
+                        parent.set(root(other.id), root(movie.id));
+                    }
+                });
+            });
+        });
+
+        const groups = new Map();
+        movies.forEach(movie => {
+            const key = root(movie.id);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(movie);
+        });
+
+        return Array.from(groups.values())
+            .filter(group => group.length > 1 && !this.ignoredDuplicates.has(this.getDuplicateGroupKey(group)))
+            .map(group => group.sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || ''))))
+            .sort((a, b) => a[0].title.localeCompare(b[0].title));
+    }
+
+    getDuplicateGroupKey(group) {
+        return group.map(movie => String(movie.id)).sort().join('|');
+    }
+
+    // Side-by-side view of every duplicate group; each group is merged field by field
+    async openDuplicateFinder() {
+        let groups = [];
+
+        const render = (body) => {
+            groups = this.findDuplicateGroups(this.movies);
+            body.querySelector('.duplicate-groups').innerHTML = groups.length
+                ? groups.map((group, index) => this.generateDuplicateGroup(group, index)).join('')
+                : '<p class="list-empty">Tidak ada duplikat yang terdeteksi</p>';
+            body.querySelector('.import-summary').textContent = groups.length
+                ? `${groups.length} kelompok film yang mirip. Pilih nilai yang dipertahankan per kolom, lalu gabungkan.`
+                : 'Koleksi bebas duplikat.';
+        };
+
+        await this.showDialog({
+            title: '🔍 Cari Duplikat',
+            wide: true,
+            content: `
+                <p class="import-summary"></p>
+                <div class="duplicate-groups"></div>
+            `,
+            onOpen: (body) => {
+                render(body);
+
+                body.querySelector('.duplicate-groups').addEventListener('click', async (e) => {
+                    const button = e.target.closest('[data-duplicate-action]');
+                    if (!button) return;
+
+                    const section = button.closest('.duplicate-group');
+                    const group = groups[parseInt(section.dataset.index)];
+                    button.disabled = true;
+
+                    if (button.dataset.duplicateAction === 'merge') {
+                        await this.mergeDuplicateGroup(group, this.readDuplicateChoices(section, group));
+                    } else {
+                        await this.ignoreDuplicateGroup(group);
+                    }
+                    render(body);
                 });
+            }
+        });
+    }
+
+    // Table with one column per movie; differing fields get a choice, list fields can be combined
+    generateDuplicateGroup(group, index) {
+        const listFields = this.db.listFields;
+        const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+        const rows = Object.keys(this.fieldLabels).map(field => {
+            const values = group.map(movie => movie[field]);
+            if (values.every(isEmpty)) return '';
+
+            const differs = values.some(value => !this.isSameFieldValue(value, values[0]));
+            const name = `dup-${index}-${field}`;
+            // Lists default to combining every value, other fields to the first non-empty one
+            const combine = differs && listFields.includes(field);
+            const preferred = values.findIndex(value => !isEmpty(value));
+
+            const cells = values.map((value, i) => `
+                <td>
+                    ${differs ? `<input type="radio" name="${name}" value="${i}" id="${name}-${i}" ${!combine && i === preferred ? 'checked' : ''}>` : ''}
+                    <label for="${name}-${i}">${this.formatFieldValue(field, value)}</label>
+                </td>
+            `).join('');
+            const combineCell = combine
+                ? `<label class="duplicate-combine"><input type="radio" name="${name}" value="all" checked> Gabung semua</label>`
+                : '';
+
+            return `<tr class="${differs ? 'duplicate-differs' : ''}"><th>${this.fieldLabels[field]}${combineCell}</th>${cells}</tr>`;
+        }).join('');
+
+        const headers = group.map((movie, i) => {
+            const viewings = this.viewingSummary.get(movie.id);
+            return `<th>${i === 0 ? 'Dipertahankan' : 'Duplikat'}<small>Ditambahkan ${this.escapeHtml(this.formatDate(movie.created_at))}${viewings ? ` · ${viewings.count} tontonan` : ''}</small></th>`;
+        }).join('');
+
+        return `
+            <section class="duplicate-group" data-index="${index}">
+                <div class="import-table-wrapper">
+                    <table class="import-table duplicate-table">
+                        <thead><tr><th></th>${headers}</tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <div class="duplicate-actions">
+                    <button type="button" class="action-btn" data-duplicate-action="ignore">Bukan duplikat</button>
+                    <button type="button" class="submit-btn" data-duplicate-action="merge">Gabungkan ${group.length} film</button>
+                </div>
+            </section>
+        `;
+    }
+
+    // The merged record: the oldest movie with the chosen value of every field
+    readDuplicateChoices(section, group) {
+        const index = section.dataset.index;
+        const merged = { ...group[0] };
+
+        Object.keys(this.fieldLabels).forEach(field => {
+            const choice = section.querySelector(`input[name="dup-${index}-${field}"]:checked`);
+            if (!choice) return;
+            merged[field] = choice.value === 'all'
+                ? DatabaseManager.splitList(group.flatMap(movie => movie[field] || []))
+                : group[parseInt(choice.value)][field];
+        });
+        return merged;
+    }
+
+    // Merge a group into its oldest movie as one undoable step
+    async mergeDuplicateGroup(group, merged) {
+        const sourceIds = group.slice(1).map(movie => movie.id);
+        // The stored poster follows the column picked for the poster URL
+        const posterMovie = group.find(movie => movie.poster && movie.poster === merged.poster);
+        const posterFrom = posterMovie ? posterMovie.id : undefined;
+
+        try {
+            let result = await this.db.mergeMovies(merged, sourceIds, { posterFrom });
+
+            this.undoManager.push({
+                label: `Gabungkan "${merged.title}"`,
+                undo: async () => {
+                    await this.db.restoreFromTrash(result.trashIds, { source: 'undo' });
+                    await this.db.putMovies([result.before], { source: 'undo' });
+                    if (result.listsBefore.length) await this.db.putLists(result.listsBefore);
+                    if (result.posterMoved) {
+                        if (result.posterBefore) {
+                            await this.db.savePoster(merged.id, result.posterBefore);
+                        } else {
+                            await this.db.deletePoster(merged.id);
+                        }
+                        await this.reloadPosters([merged.id]);
+                    }
+                },
+                redo: async () => {
+                    result = await this.db.mergeMovies(merged, sourceIds, { source: 'undo', posterFrom });
+                    if (result.posterMoved) await this.reloadPosters([merged.id]);
+                }
+            });
+
+            if (result.posterMoved) await this.reloadPosters([merged.id]);
+            await this.refreshCollection();
+            this.showUndoableNotification(`${group.length} film digabung menjadi "${merged.title}"`);
+        } catch (error) {
+            console.error('Error merging duplicates:', error);
+            this.showNotification('Gagal menggabungkan film: ' + error.message, 'error');
+        }
+    }
+
+    // Remember that a group is not a duplicate so the finder stops showing it
+    async ignoreDuplicateGroup(group) {
+        this.ignoredDuplicates.add(this.getDuplicateGroupKey(group));
+        try {
+            await this.db.saveSetting('ignoredDuplicates', Array.from(this.ignoredDuplicates));
+        } catch (error) {
+            console.warn('⚠️ Failed to save ignored duplicates:', error);
+        }
+    }
+
+    // Warn in the add form when the typed movie looks like one already in the collection
+    setupDuplicateWarning() {
+        ['title', 'year', 'director'].forEach(inputId => {
+            document.getElementById(inputId).addEventListener('input', () => {
+                clearTimeout(this.duplicateWarningTimeout);
+                this.duplicateWarningTimeout = setTimeout(() => this.updateDuplicateWarning(), 300);
+            });
+        });
+
+        document.getElementById('duplicateWarning').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-duplicate-id]');
+            if (!button) return;
+            const movie = this.movies.find(m => String(m.id) === button.dataset.duplicateId);
+            if (movie) this.openModal(movie);
+        });
+    }
+
+    updateDuplicateWarning() {
+        const warning = document.getElementById('duplicateWarning');
+        const form = this.readMovieForm();
+
+        // Only new movies are checked; an edited movie is compared in the duplicate finder
+        if (document.getElementById('movieId').value || this.getDuplicateTitle(form.title) === '') {
+            warning.innerHTML = '';
+            return;
+        }
+
+        const candidate = { title: form.title, year: form.year, directors: DatabaseManager.splitList(form.directors) };
+        const matches = this.movies.filter(movie => this.isLikelyDuplicate(candidate, movie)).slice(0, 3);
+        warning.innerHTML = matches.length
+            ? `⚠️ Mirip film yang sudah ada: ${matches.map(movie =>
+                `<button type="button" class="duplicate-link" data-duplicate-id="${this.escapeAttribute(String(movie.id))}">${this.escapeHtml(movie.title)} (${movie.year})</button>`
+            ).join(', ')}`
+            : '';
+    }
+
+    // Timeline of a movie's changes in the edit modal
+    async renderMovieHistory(movieId) {
+        const section = document.getElementById('movieHistory');
+        const timeline = document.getElementById('historyTimeline');
+
+        let entries;
+        try {
+            entries = await this.db.getMovieHistory(movieId);
+        } catch (error) {
+            console.warn('⚠️ Failed to load movie history:', error);
+            section.style.display = 'none';
+            return;
+        }
+
+        this.historyEntries = new Map(entries.map(entry => [entry.id, entry]));
+        section.style.display = 'block';
+        // Entries from before schema v2 name the genre and director fields in the singular
+        const label = (field) => this.fieldLabels[field] || this.fieldLabels[{ genre: 'genres', director: 'directors' }[field]] || field;
+
+        timeline.innerHTML = entries.length
+            ? entries.map((entry, index) => {
+                const changes = Object.entries(entry.changes);
+                // Only edits list their changes; an added or restored movie would list every field
+                const details = entry.action === 'update'
+                    ? `<ul class="history-changes">${changes.map(([field, change]) => `
+                        <li><strong>${label(field)}:</strong> ${this.formatFieldValue(field, change.from)} → ${this.formatFieldValue(field, change.to)}</li>
+                    `).join('')}</ul>`
+                    : '';
+
+                return `
+                    <li class="history-entry">
+                        <div class="history-meta">
+                            <span>${this.historyActions[entry.action] || entry.action}</span>
+                            <small>${this.escapeHtml(new Date(entry.timestamp).toLocaleString('id-ID'))} · ${this.historySources[entry.source] || this.escapeHtml(entry.source)}</small>
+                        </div>
+                        ${details}
+                        ${index > 0 && entry.action !== 'delete' ? `<button type="button" class="history-restore-btn" data-history-id="${entry.id}">Pulihkan versi ini</button>` : ''}
+                    </li>
+                `;
+            }).join('')
+            : '<li class="list-empty">Belum ada riwayat perubahan</li>';
+    }
+
+    // Readable value of a movie field in the history timeline
+    formatFieldValue(field, value) {
+        if (value === undefined || value === null || value === '') return '—';
+        if (field === 'rewatch') return value ? 'Ya' : 'Tidak';
+        if (field === 'status' && this.statuses[value]) return this.statuses[value].label;
+        return this.escapeHtml(String(this.joinList(value)));
+    }
+
+    // Put an older version of a movie back, as one undoable edit
+    async restoreMovieVersion(historyId) {
+        const entry = this.historyEntries.get(historyId);
+        if (!entry) return;
+
+        try {
+            const current = await this.db.getMovie(entry.movie_id);
+            if (!current) {
+                this.showNotification('Film ini sudah dihapus', 'error');
+                return;
+            }
+
+            // Keep the identity and creation date, take every other field from the snapshot
+            const restored = {
+                ...entry.snapshot,
+                id: current.id,
+                created_at: current.created_at,
+                updated_at: new Date().toISOString()
+            };
+            await this.db.putMovies([restored], { source: 'history' });
+
+            this.undoManager.push({
+                label: `Pulihkan versi "${restored.title}"`,
+                undo: () => this.db.putMovies([current], { source: 'undo' }),
+                redo: () => this.db.putMovies([restored], { source: 'undo' })
+            });
+
+            await this.refreshCollection();
+            this.openModal(await this.db.getMovie(current.id));
+            this.showUndoableNotification('Versi lama film dipulihkan');
+        } catch (error) {
+            console.error('Error restoring movie version:', error);
+            this.showNotification('Gagal memulihkan versi: ' + error.message, 'error');
+        }
+    }
+
+    // Edit movie
+    editMovie(id) {
+        const movie = this.movies.find(m => m.id === id);
+        if (movie) {
+            this.openModal(movie);
+        }
+    }
+
+    // Delete movie: it goes to the trash and the toast offers to undo
+    async deleteMovie(id) {
+        const movie = this.movies.find(m => m.id === id);
+        const label = movie ? `"${movie.title}"` : 'Film';
+
+        try {
+            let trashIds = await this.db.trashMovies([id]);
+            this.releasePosterUrl(id);
+            await this.refreshCollection();
+
+            this.undoManager.push({
+                label: `Hapus ${label}`,
+                undo: async () => {
+                    await this.db.restoreFromTrash(trashIds, { source: 'undo' });
+                },
+                redo: async () => {
+                    trashIds = await this.db.trashMovies([id], { source: 'undo' });
+                }
+            });
+            this.showUndoableNotification(`${label} dipindahkan ke sampah`);
+        } catch (error) {
+            console.error('Error deleting movie:', error);
+            this.showNotification('Failed to delete movie', 'error');
+        }
+    }
+
+    // Reload the collection and everything derived from it
+    async refreshCollection() {
+        await this.loadMovies();
+        this.updateGenreFilter();
+        await this.filterAndDisplayMovies();
+    }
+
+    // Undo/redo buttons and Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+    setupUndo() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+
+        this.undoManager.onChange = () => {
+            const { undoStack, redoStack } = this.undoManager;
+            undoBtn.disabled = !this.undoManager.canUndo;
+            redoBtn.disabled = !this.undoManager.canRedo;
+            undoBtn.title = undoStack.length ? `Urungkan: ${undoStack[undoStack.length - 1].label}` : 'Tidak ada yang bisa diurungkan';
+            redoBtn.title = redoStack.length ? `Ulangi: ${redoStack[redoStack.length - 1].label}` : 'Tidak ada yang bisa diulangi';
+        };
+        this.undoManager.notify();
+
+        undoBtn.addEventListener('click', () => this.undo());
+        redoBtn.addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            // Text fields keep their own undo, and nothing changes behind an open dialog
+            const target = e.target;
+            if (target.matches && target.matches('input, textarea, select, [contenteditable]')) return;
+            if (document.querySelector('.modal[style*="display: block"]')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
                 e.preventDefault();
-                this.saveMovie();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+    }
+
+    async undo() {
+        try {
+            const entry = await this.undoManager.undo();
+            if (!entry) return;
+            await this.refreshCollection();
+            this.showNotification(`Diurungkan: ${entry.label}`, 'success', {
+                action: { label: 'Ulangi', onClick: () => this.redo() }
             });
-            console.log('✅ Form submit listener attached');
-        } else {
-            console.error('❌ movieForm not found!');
+        } catch (error) {
+            await this.refreshCollection();
+            this.showNotification('Gagal mengurungkan: ' + error.message, 'error');
         }
+    }
 
-        // REAL-TIME FORM VALIDATION - NEW
-        this.setupRealTimeValidation();
+    async redo() {
+        try {
+            const entry = await this.undoManager.redo();
+            if (!entry) return;
+            await this.refreshCollection();
+            this.showUndoableNotification(`Diulangi: ${entry.label}`);
+        } catch (error) {
+            await this.refreshCollection();
+            this.showNotification('Gagal mengulangi: ' + error.message, 'error');
+        }
+    }
 
-        // Search input with debounce
-        let searchTimeout;
-        document.getElementById('searchInput').addEventListener('input', (e) => {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => {
-                this.searchQuery = e.target.value;
+    // Success toast with an "Urungkan" button for the last action
+    showUndoableNotification(message) {
+        this.showNotification(message, 'success', {
+            action: { label: 'Urungkan', onClick: () => this.undo() }
+        });
+    }
+
+    // Permanently delete trash older than the retention period
+    async purgeExpiredTrash() {
+        if (!this.trashRetentionDays) return;
+
+        try {
+            const cutoff = new Date(Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+            const purged = await this.db.purgeExpiredTrash(cutoff);
+            if (purged > 0) {
+                console.log(`🗑️ Purged ${purged} expired trash entries`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to purge expired trash:', error);
+        }
+    }
+
+    // Trash view: restore or permanently delete trashed movies, and set the retention period
+    async openTrash() {
+        const reasons = { delete: 'Dihapus', restore: 'Diganti restore', import: 'Import dibatalkan', add: 'Tambah dibatalkan', merge: 'Digabung' };
+        const retentionOptions = [[7, '7 hari'], [30, '30 hari'], [90, '90 hari'], [365, '1 tahun'], [0, 'Selamanya']];
+
+        const render = async (body) => {
+            const records = await this.db.getTrash();
+            const expiry = (record) => {
+                if (!this.trashRetentionDays) return '';
+                const expiresAt = new Date(record.deleted_at).getTime() + this.trashRetentionDays * 24 * 60 * 60 * 1000;
+                const days = Math.max(0, Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000)));
+                return ` · terhapus permanen dalam ${days} hari`;
+            };
+
+            body.querySelector('.trash-list').innerHTML = records.length
+                ? records.map(record => `
+                    <li class="trash-item">
+                        <input type="checkbox" class="trash-select" value="${record.id}" id="trash-${record.id}">
+                        <label for="trash-${record.id}">
+                            <strong>${this.escapeHtml(record.movie.title)}</strong> (${record.movie.year})
+                            <small>${reasons[record.reason] || reasons.delete} ${this.escapeHtml(this.formatDate(record.deleted_at))}${expiry(record)}${record.viewings.length ? ` · ${record.viewings.length} tontonan` : ''}</small>
+                        </label>
+                    </li>
+                `).join('')
+                : '<li class="list-empty">Sampah kosong</li>';
+        };
+
+        const selectedIds = (body) => Array.from(body.querySelectorAll('.trash-select:checked')).map(input => parseInt(input.value));
+
+        await this.showDialog({
+            title: '🗑️ Sampah',
+            wide: true,
+            content: `
+                <div class="import-bulk">
+                    <label for="trashRetention">Simpan film terhapus selama:</label>
+                    <select id="trashRetention">
+                        ${retentionOptions.map(([days, label]) => `<option value="${days}" ${days === this.trashRetentionDays ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <label class="trash-select-all"><input type="checkbox" id="trashSelectAll"> Pilih semua</label>
+                </div>
+                <ul class="trash-list"></ul>
+            `,
+            actions: [
+                { label: 'Tutup', value: null },
+                { label: 'Kosongkan Sampah', value: 'empty', className: 'delete-btn' },
+                { label: 'Hapus Permanen', value: 'purge', className: 'delete-btn' },
+                { label: 'Pulihkan', value: 'restore', className: 'submit-btn' }
+            ],
+            onOpen: (body) => {
+                render(body);
+
+                body.querySelector('#trashSelectAll').addEventListener('change', (e) => {
+                    body.querySelectorAll('.trash-select').forEach(input => {
+                        input.checked = e.target.checked;
+                    });
+                });
+
+                body.querySelector('#trashRetention').addEventListener('change', async (e) => {
+                    this.trashRetentionDays = parseInt(e.target.value);
+                    try {
+                        await this.db.saveSetting('trashRetentionDays', this.trashRetentionDays);
+                        await this.purgeExpiredTrash();
+                        await render(body);
+                    } catch (error) {
+                        this.showNotification('Gagal menyimpan pengaturan: ' + error.message, 'error');
+                    }
+                });
+            },
+            onAction: async (value, body) => {
+                if (!value) return true;
+
+                const ids = selectedIds(body);
+                if (value !== 'empty' && ids.length === 0) {
+                    this.showNotification('Pilih film terlebih dahulu', 'error');
+                    return false;
+                }
+
+                try {
+                    if (value === 'restore') {
+                        await this.restoreFromTrash(ids);
+                    } else if (value === 'purge') {
+                        await this.db.purgeTrash(ids);
+                        this.showNotification(`${ids.length} film dihapus permanen`, 'success');
+                    } else if (value === 'empty') {
+                        await this.db.purgeTrash();
+                        this.showNotification('Sampah dikosongkan', 'success');
+                    }
+                    body.querySelector('#trashSelectAll').checked = false;
+                    await render(body);
+                } catch (error) {
+                    console.error('Trash error:', error);
+                    this.showNotification('Gagal memproses sampah: ' + error.message, 'error');
+                }
+
+                // Keep the trash open for further actions
+                return false;
+            }
+        });
+    }
+
+    // Restore trashed movies as one undoable step
+    async restoreFromTrash(trashIds) {
+        const restored = await this.db.restoreFromTrash(trashIds, { source: 'trash' });
+        const ids = restored.map(movie => movie.id);
+        let currentTrashIds = trashIds;
+
+        await this.refreshCollection();
+
+        this.undoManager.push({
+            label: `Pulihkan ${restored.length} film`,
+            undo: async () => {
+                currentTrashIds = await this.db.trashMovies(ids, { source: 'undo' });
+            },
+            redo: async () => {
+                await this.db.restoreFromTrash(currentTrashIds, { source: 'undo' });
+            }
+        });
+        this.showUndoableNotification(`${restored.length} film dipulihkan`);
+    }
+
+    // Build the filters object from search, genre tags and the advanced filter panel
+    buildFilters() {
+        // Search box syntax (director:, genre:, year:, rating:, -word) becomes filters too
+        const filters = {
+            ...SearchIndex.parseQuery(this.searchQuery),
+            sortBy: this.sortBy
+        };
+
+        if (this.selectedGenres.size > 0) {
+            const selected = Array.from(this.selectedGenres);
+            if (filters.genres) {
+                // Genres typed in the search box must all match alongside the selected tags
+                filters.genres = Array.from(new Set([...filters.genres, ...selected]));
+            } else {
+                filters.genres = selected;
+                filters.genreMode = this.genreMode;
+            }
+        }
+
+        if (this.currentStatus !== 'all' && !filters.status) {
+            filters.status = this.currentStatus;
+        }
+
+        const { yearRange, director, minRating, rewatch } = this.advancedFilters;
+        if (yearRange) {
+            // Intersect with a year range typed in the search box
+            filters.yearRange = filters.yearRange
+                ? [Math.max(yearRange[0], filters.yearRange[0]), Math.min(yearRange[1], filters.yearRange[1])]
+                : yearRange;
+        }
+        if (director) filters.directorName = director;
+        if (minRating !== null) filters.minRating = Math.max(minRating, filters.minRating ?? -Infinity);
+        if (rewatch) filters.rewatch = true;
+
+        return filters;
+    }
+
+    // Filter and display movies (using IndexedDB for better performance)
+    async filterAndDisplayMovies() {
+        // The database was closed for an upgrade in another tab; keep what is shown
+        if (this.reloadRequired) return;
+
+        const filters = this.buildFilters();
+
+        if (this.activeListId !== null) {
+            this.displayListMovies(filters);
+            return;
+        }
+
+        // Start from the first page when the filters change, keep loaded pages when only the data changed
+        const filterKey = JSON.stringify(filters);
+        if (filterKey !== this.currentFilterKey) {
+            this.currentFilterKey = filterKey;
+            this.loadedPages = 1;
+        }
+
+        const renderId = ++this.renderId;
+
+        try {
+            console.log('🔍 FilterAndDisplayMovies called');
+            console.log('🎯 Filters applied:', filters);
+            const { movies, total } = await this.db.queryMovies({
+                ...filters,
+                offset: 0,
+                limit: this.loadedPages * this.pageSize
+            });
+
+            // A newer search started while this one was running
+            if (renderId !== this.renderId) return;
+
+            console.log('📊 Filtered result:', total, 'movies');
+            this.displayMovies(movies, { total });
+        } catch (error) {
+            console.error('❌ Error filtering movies:', error);
+            // Fallback to client-side filtering
+            console.log('🔄 Using fallback filtering method');
+            this.filterAndDisplayMoviesFallback();
+        }
+    }
+
+    // Fallback filtering method
+    filterAndDisplayMoviesFallback() {
+        console.log('🔄 Fallback filtering method called');
+        console.log('📋 Total movies available:', this.movies.length);
+        const filters = this.buildFilters();
+
+        if (filters.search && !this.db.searchIndex.isBuilt) {
+            this.db.searchIndex.build(this.movies);
+        }
+
+        let filtered = this.db.filterMovies(this.movies, filters);
+        filtered = this.db.sortMovies(filtered, filters.sortBy, filters.search);
+
+        console.log('📊 Final filtered result:', filtered.length, 'movies');
+        this.displayMovies(filtered.slice(0, this.loadedPages * this.pageSize), { total: filtered.length });
+    }
+
+    // Append the next page of results to the grid
+    async loadMoreMovies() {
+        if (this.reloadRequired || this.isLoadingMore || this.displayedMovies.length >= this.totalResults) {
+            return;
+        }
+
+        this.isLoadingMore = true;
+        const renderId = this.renderId;
+
+        try {
+            const { movies, total } = await this.db.queryMovies({
+                ...this.buildFilters(),
+                offset: this.displayedMovies.length,
+                limit: this.pageSize
+            });
+
+            if (renderId !== this.renderId) return;
+
+            this.loadedPages++;
+            this.displayMovies(movies, { total, append: true });
+        } catch (error) {
+            console.error('❌ Error loading more movies:', error);
+            this.loadedPages++;
+            this.filterAndDisplayMoviesFallback();
+        } finally {
+            this.isLoadingMore = false;
+        }
+    }
+
+    // Update genre filter buttons
+    updateGenreFilter() {
+        this.updateStatusTabs();
+        this.updateListPicker();
+
+        // Genre tags (with counts) follow the selected status tab
+        const genres = new Map();
+        const movies = this.currentStatus === 'all'
+            ? this.movies
+            : this.movies.filter(movie => movie.status === this.currentStatus);
+
+        movies.forEach(movie => {
+            movie.genres.forEach(name => {
+                const entry = genres.get(name.toLowerCase()) || { name, count: 0 };
+                entry.count++;
+                genres.set(name.toLowerCase(), entry);
+            });
+        });
+
+        const genreTagsContainer = document.getElementById('genreTags');
+        const allTag = `<button class="genre-tag ${this.selectedGenres.size === 0 ? 'active' : ''}" data-genre="all">All</button>`;
+        genreTagsContainer.innerHTML = allTag + Array.from(genres).map(([key, { name, count }]) =>
+            `<button class="genre-tag ${this.selectedGenres.has(key) ? 'active' : ''}" data-genre="${this.escapeAttribute(key)}">${this.escapeHtml(name)} <span class="tag-count">${count}</span></button>`
+        ).join('');
+
+        // Add click listeners to genre tags (multi-select, "All" clears the selection)
+        genreTagsContainer.querySelectorAll('.genre-tag').forEach(tag => {
+            tag.addEventListener('click', () => {
+                const genre = tag.dataset.genre;
+                if (genre === 'all') {
+                    this.selectedGenres.clear();
+                } else if (this.selectedGenres.has(genre)) {
+                    this.selectedGenres.delete(genre);
+                } else {
+                    this.selectedGenres.add(genre);
+                }
+
+                genreTagsContainer.querySelectorAll('.genre-tag').forEach(t => {
+                    const isActive = t.dataset.genre === 'all'
+                        ? this.selectedGenres.size === 0
+                        : this.selectedGenres.has(t.dataset.genre);
+                    t.classList.toggle('active', isActive);
+                });
                 this.filterAndDisplayMovies();
-            }, 300);
+            });
         });
 
-        // Import/Export buttons
-        document.getElementById('importBtn').addEventListener('click', () => {
-            document.getElementById('importFile').click();
+        this.updateAdvancedFilterOptions().catch(error => {
+            console.warn('⚠️ Failed to update advanced filter options:', error);
         });
+    }
 
-        document.getElementById('exportBtn').addEventListener('click', () => {
-            this.exportMovies();
+    // Render the status tabs above the genre tags
+    updateStatusTabs() {
+        const counts = {};
+        this.movies.forEach(movie => {
+            counts[movie.status] = (counts[movie.status] || 0) + 1;
         });
 
-        document.getElementById('importFile').addEventListener('change', (e) => {
-            this.importMovies(e.target.files[0]);
+        const tabs = [['all', { label: 'Semua', icon: '🎬' }], ...Object.entries(this.statuses)];
+        const container = document.getElementById('statusTabs');
+        container.innerHTML = tabs.map(([key, status]) => {
+            const count = key === 'all' ? this.movies.length : (counts[key] || 0);
+            return `<button class="status-tab ${key === this.currentStatus ? 'active' : ''}" data-status="${key}">${status.icon} ${status.label} <span class="tag-count">${count}</span></button>`;
+        }).join('');
+
+        container.querySelectorAll('.status-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.currentStatus = tab.dataset.status;
+                this.updateGenreFilter();
+                this.filterAndDisplayMovies();
+            });
         });
+    }
 
-        // Backup button
-        document.getElementById('backupBtn').addEventListener('click', () => {
-            this.createBackup();
+    // Setup the collapsible advanced filter panel
+    setupAdvancedFilters() {
+        const toggleBtn = document.getElementById('advancedFilterToggle');
+        const panel = document.getElementById('advancedFilters');
+        toggleBtn.addEventListener('click', () => {
+            const isOpen = panel.classList.toggle('open');
+            toggleBtn.setAttribute('aria-expanded', isOpen);
         });
 
-        document.getElementById('backupFile').addEventListener('change', (e) => {
-            this.restoreBackup(e.target.files[0]);
+        // Genre AND/OR toggle
+        document.querySelectorAll('.genre-mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.genreMode = btn.dataset.mode;
+                document.querySelectorAll('.genre-mode-btn').forEach(b => {
+                    b.classList.toggle('active', b === btn);
+                });
+                if (this.selectedGenres.size > 1) {
+                    this.filterAndDisplayMovies();
+                }
+            });
         });
 
-        
-        // Close modal when clicking outside
-        window.addEventListener('click', (e) => {
-            const modal = document.getElementById('movieModal');
-            if (e.target === modal) {
-                this.closeModal();
+        // Year range slider (two thumbs)
+        const yearMin = document.getElementById('yearMin');
+        const yearMax = document.getElementById('yearMax');
+        const onYearChange = (changed) => {
+            let min = parseInt(yearMin.value);
+            let max = parseInt(yearMax.value);
+            // Keep the thumbs from crossing each other
+            if (min > max) {
+                if (changed === yearMin) {
+                    yearMax.value = min;
+                    max = min;
+                } else {
+                    yearMin.value = max;
+                    min = max;
+                }
             }
+
+            const isFullRange = min <= parseInt(yearMin.min) && max >= parseInt(yearMax.max);
+            this.advancedFilters.yearRange = isFullRange ? null : [min, max];
+            this.updateYearRangeLabel();
+            this.filterAndDisplayMovies();
+        };
+        yearMin.addEventListener('input', () => onYearChange(yearMin));
+        yearMax.addEventListener('input', () => onYearChange(yearMax));
+
+        document.getElementById('directorFilter').addEventListener('change', (e) => {
+            this.advancedFilters.director = e.target.value;
+            this.filterAndDisplayMovies();
+        });
+
+        document.getElementById('ratingFilter').addEventListener('change', (e) => {
+            this.advancedFilters.minRating = e.target.value === '' ? null : parseFloat(e.target.value);
+            this.filterAndDisplayMovies();
+        });
+
+        document.getElementById('rewatchFilter').addEventListener('change', (e) => {
+            this.advancedFilters.rewatch = e.target.checked;
+            this.filterAndDisplayMovies();
+        });
+
+        document.getElementById('resetFiltersBtn').addEventListener('click', () => {
+            this.resetFilters();
         });
     }
 
-    // Display movies
-    displayMovies(moviesToDisplay = this.movies) {
-        console.log('🎨 DisplayMovies called with', moviesToDisplay.length, 'movies');
-        console.log('📋 Total movies in array:', this.movies.length);
+    // Refresh year bounds and director options from the current collection
+    async updateAdvancedFilterOptions() {
+        const stats = await this.db.getStats();
 
-        // Validate DOM elements exist
-        const grid = document.getElementById('moviesGrid');
-        const emptyState = document.getElementById('emptyState');
-        const noResults = document.getElementById('noResults');
-        const loading = document.getElementById('loading');
+        // Director picker, most frequent directors first
+        const directorSelect = document.getElementById('directorFilter');
+        const directors = Object.entries(stats.directors)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+        if (this.advancedFilters.director && !stats.directors[this.advancedFilters.director]) {
+            this.advancedFilters.director = '';
+        }
+        directorSelect.innerHTML = '<option value="">Semua sutradara</option>' + directors.map(([name, count]) =>
+            `<option value="${this.escapeAttribute(name)}">${this.escapeHtml(name)} (${count})</option>`
+        ).join('');
+        directorSelect.value = this.advancedFilters.director;
+
+        // Year slider bounds
+        const years = Object.keys(stats.years).map(Number).filter(year => !isNaN(year));
+        const yearMin = document.getElementById('yearMin');
+        const yearMax = document.getElementById('yearMax');
+        const minYear = years.length ? Math.min(...years) : 1900;
+        const maxYear = years.length ? Math.max(...years) : new Date().getFullYear();
+        [yearMin, yearMax].forEach(input => {
+            input.min = minYear;
+            input.max = maxYear;
+        });
 
-        if (!grid || !emptyState || !noResults || !loading) {
-            console.error('❌ Required DOM elements not found!');
-            return;
+        const [rangeMin, rangeMax] = this.advancedFilters.yearRange || [minYear, maxYear];
+        yearMin.value = Math.max(rangeMin, minYear);
+        yearMax.value = Math.min(rangeMax, maxYear);
+        this.updateYearRangeLabel();
+    }
+
+    // Show the selected year range next to the slider
+    updateYearRangeLabel() {
+        const label = document.getElementById('yearRangeLabel');
+        if (label) {
+            label.textContent = `${document.getElementById('yearMin').value} - ${document.getElementById('yearMax').value}`;
         }
+    }
+
+    // Clear genre tags and the advanced filter panel
+    resetFilters() {
+        this.selectedGenres.clear();
+        this.advancedFilters = {
+            yearRange: null,
+            director: '',
+            minRating: null,
+            rewatch: false
+        };
+        document.getElementById('ratingFilter').value = '';
+        document.getElementById('rewatchFilter').checked = false;
+
+        this.updateGenreFilter();
+        this.filterAndDisplayMovies();
+    }
+
+    // Update movie count
+    updateMovieCount() {
+        const count = this.movies ? this.movies.length : 0;
+        const countElement = document.getElementById('movieCount');
 
-        // Hide loading
-        loading.style.display = 'none';
+        if (countElement) {
+            // Indonesian pluralization
+            let text = count === 0 ? 'Belum ada film' :
+                       count === 1 ? '1 film' :
+                       `${count} film`;
 
-        // Handle empty collection
-        if (!this.movies || this.movies.length === 0) {
-            console.log('📭 No movies in collection, showing empty state');
-            grid.style.display = 'none';
-            grid.innerHTML = '';
-            emptyState.style.display = 'block';
-            noResults.style.display = 'none';
-            this.updateMovieCount();
-            return;
+            // Show how many films match when a search or filter is active
+            if (count > 0 && this.totalResults !== count) {
+                text = `${this.totalResults} dari ${text}`;
+            }
+            countElement.textContent = text;
         }
+    }
 
-        // Handle no search results
-        if (!moviesToDisplay || moviesToDisplay.length === 0) {
-            console.log('🔍 No movies match search/filter criteria');
-            grid.style.display = 'none';
-            grid.innerHTML = '';
-            emptyState.style.display = 'none';
-            noResults.style.display = 'block';
-            this.updateMovieCount();
+    // Render the statistics dashboard (only while it is open)
+    async updateStatsDashboard() {
+        const section = document.getElementById('statsSection');
+        if (!section || !section.classList.contains('open')) {
             return;
         }
 
-        console.log('✨ Displaying', moviesToDisplay.length, 'movies');
-        console.log('🎬 First movie to display:', moviesToDisplay[0]);
+        try {
+            const status = document.getElementById('statsStatus').value || null;
+            const stats = await this.db.getStats({ status });
+            const topRated = await this.db.getTopRated(5, status);
+
+            const summary = [
+                ['Total film', stats.totalMovies],
+                ['Total tontonan', stats.viewings],
+                ['Genre', Object.keys(stats.genres).length],
+                ['Sutradara', Object.keys(stats.directors).length],
+                ['Rata-rata rating', stats.averageRating !== null ? stats.averageRating.toFixed(1) : '-'],
+                ['Sudah dinilai', stats.ratedMovies]
+            ];
+            document.getElementById('statsSummary').innerHTML = summary.map(([label, value]) => `
+                <div class="stat-card">
+                    <span class="stat-value">${value}</span>
+                    <span class="stat-label">${label}</span>
+                </div>
+            `).join('');
+
+            const genres = Object.entries(stats.genres).sort((a, b) => b[1] - a[1]).slice(0, 10);
+            const decades = Object.entries(stats.decades)
+                .sort((a, b) => a[0] - b[0])
+                .map(([decade, count]) => [`${decade}-an`, count]);
+            const directors = Object.entries(stats.directors).sort((a, b) => b[1] - a[1]).slice(0, 8);
+
+            const statuses = Object.entries(this.statuses)
+                .map(([key, { label }]) => [label, stats.statuses[key] || 0])
+                .filter(([, count]) => count > 0);
+
+            document.getElementById('statusChart').innerHTML = this.renderBarChart(statuses, '#a29bfe');
+            document.getElementById('genreChart').innerHTML = this.renderBarChart(genres, '#4ecdc4');
+            document.getElementById('decadeChart').innerHTML = this.renderBarChart(decades, '#ff6b6b');
+            document.getElementById('directorChart').innerHTML = this.renderBarChart(directors, '#ffd93d');
+            document.getElementById('growthChart').innerHTML = this.renderLineChart(
+                stats.growth.map(point => [point.month, point.total])
+            );
+            document.getElementById('topRatedList').innerHTML = topRated.length
+                ? topRated.map(movie => `
+                    <li>
+                        <span>${this.escapeHtml(movie.title)} (${movie.year})</span>
+                        <span class="rating-value">${movie.rating}/10</span>
+                    </li>
+                `).join('')
+                : '<li class="chart-empty">Belum ada film yang dinilai</li>';
+        } catch (error) {
+            console.error('❌ Error updating statistics:', error);
+        }
+    }
 
-        // Show grid and hide states
-        grid.style.display = 'grid';
-        emptyState.style.display = 'none';
-        noResults.style.display = 'none';
+    // Render a horizontal SVG bar chart from [label, value] pairs
+    renderBarChart(entries, color) {
+        if (entries.length === 0) {
+            return '<p class="chart-empty">Belum ada data</p>';
+        }
 
-        // Generate HTML for movies with validation
-        const moviesHTML = moviesToDisplay.map(movie => {
-            // Validate movie data
-            if (!movie || !movie.id || !movie.title) {
-                console.warn('⚠️ Invalid movie data:', movie);
-                return '';
-            }
+        const rowHeight = 26;
+        const labelWidth = 120;
+        const barWidth = 220;
+        const max = Math.max(...entries.map(([, value]) => value));
+        const height = entries.length * rowHeight;
 
+        const rows = entries.map(([label, value], i) => {
+            const y = i * rowHeight;
+            const width = Math.max(2, (value / max) * barWidth);
+            const text = String(label).length > 16 ? String(label).slice(0, 15) + '…' : String(label);
             return `
-                <div class="movie-card" data-id="${movie.id}">
-                    <div class="movie-poster">
-                        ${this.generateMoviePoster(movie)}
-                    </div>
-                    <div class="movie-info">
-                        <h3 class="movie-title">${this.escapeHtml(movie.title)}</h3>
-                        <p class="movie-year">${movie.year || 'N/A'}</p>
-                        <span class="movie-genre">${this.escapeHtml(movie.genre || 'Unknown')}</span>
-                        <p class="movie-director">Director: ${this.escapeHtml(movie.director || 'Unknown')}</p>
-                        <div class="movie-actions">
-                            <button class="edit-btn" onclick="movieManager.editMovie(${movie.id})">Edit</button>
-                            <button class="delete-btn" onclick="movieManager.deleteMovie(${movie.id})">Hapus</button>
-                        </div>
-                    </div>
-                </div>
+                <text x="${labelWidth - 8}" y="${y + 17}" text-anchor="end" class="chart-label">${this.escapeHtml(text)}</text>
+                <rect x="${labelWidth}" y="${y + 5}" width="${width}" height="${rowHeight - 10}" rx="4" fill="${color}"></rect>
+                <text x="${labelWidth + width + 6}" y="${y + 17}" class="chart-value">${value}</text>
             `;
-        }).filter(html => html !== '').join('');
+        }).join('');
 
-        // Set grid content
-        grid.innerHTML = moviesHTML;
+        return `<svg viewBox="0 0 ${labelWidth + barWidth + 40} ${height}" class="chart" role="img">${rows}</svg>`;
+    }
 
-        // Update count
-        this.updateMovieCount();
+    // Render an SVG line chart from [label, value] pairs
+    renderLineChart(points) {
+        if (points.length === 0) {
+            return '<p class="chart-empty">Belum ada data</p>';
+        }
 
-        console.log('🎉 Display completed successfully');
-    }
+        const width = 380;
+        const height = 160;
+        const padding = 30;
+        const max = Math.max(...points.map(([, value]) => value));
+        const stepX = points.length > 1 ? (width - padding * 2) / (points.length - 1) : 0;
+        const coords = points.map(([, value], i) => {
+            const x = padding + i * stepX;
+            const y = height - padding - (value / max) * (height - padding * 2);
+            return [x, y];
+        });
 
-    // Utility function to escape HTML to prevent XSS
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        const path = coords.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+        const dots = coords.map(([x, y], i) =>
+            `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="3" fill="#4ecdc4"><title>${points[i][0]}: ${points[i][1]} film</title></circle>`
+        ).join('');
+        const first = points[0][0];
+        const last = points[points.length - 1][0];
+
+        return `
+            <svg viewBox="0 0 ${width} ${height}" class="chart" role="img">
+                <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="chart-axis"></line>
+                <path d="${path}" fill="none" stroke="#4ecdc4" stroke-width="2"></path>
+                ${dots}
+                <text x="${padding}" y="${height - 8}" class="chart-label">${first}</text>
+                <text x="${width - padding}" y="${height - 8}" text-anchor="end" class="chart-label">${last}</text>
+                <text x="${padding - 6}" y="${padding}" text-anchor="end" class="chart-value">${max}</text>
+            </svg>
+        `;
     }
 
-    // Generate star rating display
-    generateStars(rating) {
-        const fullStars = Math.floor(rating / 2);
-        const halfStar = (rating / 2) % 1 >= 0.5;
-        const emptyStars = 5 - fullStars - (halfStar ? 1 : 0);
+    // Theme management (now using IndexedDB)
+    // Theme functions removed - Dark mode only
 
-        let stars = '';
-        for (let i = 0; i < fullStars; i++) {
-            stars += '<span class="star">★</span>';
-        }
-        if (halfStar) {
-            stars += '<span class="star">☆</span>';
-        }
-        for (let i = 0; i < emptyStars; i++) {
-            stars += '<span class="star" style="opacity: 0.3">☆</span>';
-        }
+    // Import/Export functionality
+    async exportMovies() {
+        try {
+            if (this.movies.length === 0) {
+                this.showNotification('Tidak ada film untuk diekspor!', 'error');
+                return;
+            }
 
-        return stars;
+            const dataStr = JSON.stringify(this.movies, null, 2);
+            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+            const url = URL.createObjectURL(dataBlob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `movie-collection-${new Date().toISOString().split('T')[0]}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            this.showNotification('Koleksi film berhasil diekspor!', 'success');
+        } catch (error) {
+            console.error('Error exporting movies:', error);
+            this.showNotification('Failed to export movies', 'error');
+        }
     }
 
-    // Open modal for add/edit
-    openModal(movie = null) {
-        const modal = document.getElementById('movieModal');
-        const modalTitle = document.getElementById('modalTitle');
-        const form = document.getElementById('movieForm');
+    async importMovies(file) {
+        if (!file) return;
 
-        // Reset form with clear
-        form.reset();
-        this.clearFormValidation();
+        // Clear file input so the same file can be picked again
+        document.getElementById('importFile').value = '';
 
-        if (movie) {
-            // Edit mode
-            modalTitle.textContent = 'Edit Film';
-            document.getElementById('movieId').value = movie.id;
-            document.getElementById('title').value = movie.title || '';
-            document.getElementById('year').value = movie.year || '';
-            document.getElementById('genre').value = movie.genre || '';
-            document.getElementById('director').value = movie.director || '';
-            document.getElementById('poster').value = movie.poster || '';
-        } else {
-            // Add mode
-            modalTitle.textContent = 'Tambah Film Baru';
-            document.getElementById('movieId').value = '';
+        if (file.name.toLowerCase().endsWith('.csv') || file.type === 'text/csv') {
+            await this.importMoviesCsv(file);
+            return;
         }
 
-        modal.style.display = 'block';
-        console.log('🚀 Modal opened:', movie ? 'Edit mode' : 'Add mode');
-    }
+        let rows;
+        try {
+            const data = JSON.parse(await this.readFileAsText(file));
+            // Accept a plain export array or the movies of a backup file
+            rows = Array.isArray(data) ? data : (data && data.data && data.data.movies);
+            if (!Array.isArray(rows)) {
+                throw new Error('Invalid format');
+            }
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showNotification('Gagal mengimport file. Pastikan format JSON benar!', 'error');
+            return;
+        }
 
-    // Clear form validation states
-    clearFormValidation() {
-        const inputs = document.querySelectorAll('#movieForm input');
-        inputs.forEach(input => {
-            input.classList.remove('invalid');
-            input.style.borderColor = '';
-        });
+        await this.openImportWizard(rows, file.name);
     }
 
-    // Close modal
-    closeModal() {
-        document.getElementById('movieModal').style.display = 'none';
-        this.resetForm();
-    }
+    // Export the currently filtered view as CSV
+    async exportMoviesCsv() {
+        try {
+            // No offset/limit, so every movie that matches the filters is exported; with a list
+            // open, its films in list order
+            const list = this.activeListId !== null ? this.getActiveList() : null;
+            const movies = list
+                ? this.getListMovies(list, this.buildFilters())
+                : await this.db.searchMovies(this.buildFilters());
+
+            if (movies.length === 0) {
+                this.showNotification('Tidak ada film untuk diekspor!', 'error');
+                return;
+            }
 
-    // Validate movie form - NEW FUNCTION
-    validateMovieForm() {
-        const title = document.getElementById('title').value.trim();
-        const year = document.getElementById('year').value;
-        const genre = document.getElementById('genre').value.trim();
-        const director = document.getElementById('director').value.trim();
+            const fields = Object.keys(this.fieldLabels);
+            const rows = [
+                fields,
+                ...movies.map(movie => fields.map(field => {
+                    const value = movie[field];
+                    if (field === 'rewatch') return value ? 'true' : 'false';
+                    return value === null || value === undefined ? '' : this.joinList(value);
+                }))
+            ];
 
-        // Check required fields
-        if (!title) {
-            return { isValid: false, message: 'Judul film wajib diisi!' };
-        }
+            // BOM so spreadsheet apps read the file as UTF-8
+            const dataBlob = new Blob(['\uFEFF' + CsvFormat.stringify(rows)], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(dataBlob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `movie-collection-${new Date().toISOString().split('T')[0]}.csv`;
+            link.click();
+            URL.revokeObjectURL(url);
 
-        if (!year || isNaN(year) || year < 1900 || year > 2030) {
-            return { isValid: false, message: 'Tahun harus antara 1900-2030!' };
+            this.showNotification(`${movies.length} film berhasil diekspor ke CSV!`, 'success');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            this.showNotification('Gagal mengekspor CSV', 'error');
         }
+    }
 
-        if (!genre) {
-            return { isValid: false, message: 'Genre film wajib diisi!' };
+    // Read a CSV file, map its columns and hand the rows to the import wizard
+    async importMoviesCsv(file) {
+        let records;
+        try {
+            records = CsvFormat.parse(await this.readFileAsText(file));
+            if (records.length < 2) {
+                throw new Error('File CSV tidak berisi data');
+            }
+        } catch (error) {
+            console.error('CSV import error:', error);
+            this.showNotification('Gagal membaca CSV: ' + error.message, 'error');
+            return;
         }
 
-        if (!director) {
-            return { isValid: false, message: 'Nama sutradara wajib diisi!' };
-        }
+        const headers = records[0];
+        let dataRows = records.slice(1);
+        let rows;
 
-        return { isValid: true, message: 'Form valid' };
-    }
+        // The CSV export of this app (its field names as headers) escaped formula-like cells
+        const fields = Object.keys(this.fieldLabels);
+        if (headers.length === fields.length && headers.every((header, i) => header.trim() === fields[i])) {
+            dataRows = dataRows.map(cells => cells.map(cell => CsvFormat.unescapeField(cell)));
+        }
 
-    // Set form loading state - NEW FUNCTION
-    setFormLoadingState(isLoading) {
-        const submitBtn = document.querySelector('.submit-btn');
-        const formInputs = document.querySelectorAll('#movieForm input[type="text"], #movieForm input[type="number"], #movieForm input[type="url"]');
+        // Letterboxd and IMDb exports have fixed columns and skip the mapping step
+        const source = this.detectCsvSource(headers);
+        if (source) {
+            const objects = this.csvRecordsToObjects(headers, dataRows);
+            rows = source === 'letterboxd'
+                ? this.convertLetterboxdRows(objects)
+                : this.convertImdbRows(objects);
+
+            const skippedTitles = source === 'imdb' ? objects.length - rows.length : 0;
+            if (skippedTitles > 0) {
+                this.showNotification(`${skippedTitles} judul bukan film (serial TV, episode, game) dilewati`, rows.length ? 'success' : 'error');
+            }
+            if (rows.length === 0) return;
 
-        if (isLoading) {
-            submitBtn.disabled = true;
-            submitBtn.textContent = 'Menyimpan...';
-            submitBtn.classList.add('loading');
-            formInputs.forEach(input => input.disabled = true);
+            rows = await this.fillMissingImportFields(rows, source === 'letterboxd' ? 'Letterboxd' : 'IMDb');
+            if (!rows) return;
         } else {
-            submitBtn.disabled = false;
-            submitBtn.textContent = 'Simpan';
-            submitBtn.classList.remove('loading');
-            formInputs.forEach(input => input.disabled = false);
+            const mapping = await this.openCsvMappingDialog(headers, dataRows);
+            if (!mapping) return;
+            rows = dataRows.map(cells => this.mapCsvRow(cells, mapping));
         }
+
+        await this.openImportWizard(rows, file.name);
     }
 
-    // Reset form - NEW FUNCTION
-    resetForm() {
-        const form = document.getElementById('movieForm');
-        form.reset();
-        document.getElementById('movieId').value = '';
+    // Recognize Letterboxd (watched/ratings/diary) and IMDb (ratings/list) exports by their headers
+    detectCsvSource(headers) {
+        const names = headers.map(header => header.trim().toLowerCase());
+        if (names.includes('letterboxd uri') || (names.includes('name') && names.includes('watched date'))) {
+            return 'letterboxd';
+        }
+        if (names.includes('const') && names.includes('title') && names.includes('title type')) {
+            return 'imdb';
+        }
+        return null;
+    }
 
-        // Remove validation classes
-        const inputs = form.querySelectorAll('input');
-        inputs.forEach(input => {
-            input.classList.remove('invalid', 'valid');
+    // Turn CSV rows into objects keyed by header name
+    csvRecordsToObjects(headers, dataRows) {
+        const keys = headers.map(header => header.trim());
+        return dataRows.map(cells => {
+            const object = {};
+            keys.forEach((key, i) => {
+                object[key] = (cells[i] ?? '').trim();
+            });
+            return object;
         });
     }
 
-    // Save movie (add or edit) - ENHANCED VERSION
-    async saveMovie() {
-        try {
-            console.log('🎬 Save movie started');
+    // Letterboxd rows are grouped per film; diary entries become viewings
+    convertLetterboxdRows(objects) {
+        const films = new Map();
 
-            // 1. VALIDATE FORM FIRST
-            const validationResult = this.validateMovieForm();
-            if (!validationResult.isValid) {
-                this.showNotification(validationResult.message, 'error');
-                return;
+        objects.forEach(object => {
+            const title = object['Name'];
+            const year = object['Year'];
+            const key = this.getMovieMatchKey({ title, year });
+
+            if (!films.has(key)) {
+                films.set(key, { title, year, status: 'watched', viewings: [], ratedAt: '' });
             }
+            const film = films.get(key);
 
-            // 2. COLLECT AND PREPARE MOVIE DATA
-            const movieId = document.getElementById('movieId').value;
-            const movieData = {
-                title: document.getElementById('title').value.trim(),
-                year: parseInt(document.getElementById('year').value),
-                genre: document.getElementById('genre').value.trim(),
-                director: document.getElementById('director').value.trim(),
-                poster: document.getElementById('poster').value.trim() || null
+            // Letterboxd rates 0.5-5 stars, we rate 0-10
+            const stars = parseFloat(object['Rating']);
+            const rating = Number.isNaN(stars) ? null : stars * 2;
+            const date = object['Watched Date'] || object['Date'] || '';
+
+            // The most recent rating wins
+            if (rating !== null && date >= film.ratedAt) {
+                film.rating = rating;
+                film.ratedAt = date;
+            }
+
+            if (object['Rewatch'] && object['Rewatch'].toLowerCase() === 'yes') {
+                film.rewatch = true;
+            }
+
+            if (object['Watched Date']) {
+                film.viewings.push({
+                    watched_at: object['Watched Date'],
+                    rating,
+                    note: object['Tags'] ? `Tags: ${object['Tags']}` : ''
+                });
+            }
+        });
+
+        return Array.from(films.values()).map(({ ratedAt, ...film }) => film);
+    }
+
+    // IMDb ratings and list exports already carry genres, directors, runtime and the IMDb id.
+    // Only films are imported; TV series, episodes and games are left out.
+    convertImdbRows(objects) {
+        const filmTypes = ['movie', 'tvmovie', 'tv movie', 'short', 'tvshort', 'tv short', 'video'];
+        return objects.filter(object => filmTypes.includes(String(object['Title Type'] || '').trim().toLowerCase())).map(object => {
+            const rating = parseFloat(object['Your Rating']);
+            const row = {
+                title: object['Title'],
+                year: object['Year'],
+                genres: this.normalizeGenreList(object['Genres']),
+                directors: DatabaseManager.splitList(object['Directors']),
+                runtime: object['Runtime (mins)'] || null,
+                imdb_id: object['Const'] || '',
+                // Rated titles were watched, unrated list entries are still to be watched
+                status: Number.isNaN(rating) ? 'plan' : 'watched'
             };
 
-            console.log('📝 Movie data collected:', movieData);
+            // Date Rated is when the rating was given, not a watch date, so no viewing is logged
+            if (!Number.isNaN(rating)) {
+                row.rating = rating;
+            }
 
-            // 3. SET MOVIE ID
-            if (movieId) {
-                movieData.id = parseInt(movieId);
-            } else {
-                movieData.id = Date.now();
+            return row;
+        });
+    }
+
+    // Ask for genre and director when an export doesn't include them
+    async fillMissingImportFields(rows, sourceName) {
+        const existingMovies = await this.db.getAllMovies();
+        const byKey = new Map(existingMovies.map(movie => [this.getMovieMatchKey(movie), movie]));
+        const fields = ['genres', 'directors'];
+        const isEmpty = (value) => !value || value.length === 0;
+
+        // Films already in the collection borrow the missing values from it
+        rows.forEach(row => {
+            const existing = byKey.get(this.getMovieMatchKey(row));
+            fields.forEach(field => {
+                if (isEmpty(row[field]) && existing && !isEmpty(existing[field])) {
+                    row[field] = existing[field];
+                }
+            });
+        });
+
+        const incomplete = rows.filter(row => fields.some(field => isEmpty(row[field])));
+        if (incomplete.length === 0) {
+            return rows;
+        }
+
+        const stats = await this.db.getStats();
+        const datalists = `
+            <datalist id="importGenreOptions">${Object.keys(stats.genres).map(genre => `<option value="${this.escapeAttribute(genre)}">`).join('')}</datalist>
+            <datalist id="importDirectorOptions">${Object.keys(stats.directors).map(director => `<option value="${this.escapeAttribute(director)}">`).join('')}</datalist>
+        `;
+        const rowsHTML = incomplete.map((row, i) => `
+            <tr data-index="${i}">
+                <td>${this.escapeHtml(row.title)} (${this.escapeHtml(String(row.year))})</td>
+                <td><input type="text" class="import-fill" data-field="genres" list="importGenreOptions" value="${this.escapeAttribute(this.joinList(row.genres || ''))}" placeholder="Genre"></td>
+                <td><input type="text" class="import-fill" data-field="directors" list="importDirectorOptions" value="${this.escapeAttribute(this.joinList(row.directors || ''))}" placeholder="Sutradara"></td>
+                <td><input type="checkbox" class="import-skip" title="Lewati film ini"></td>
+            </tr>
+        `).join('');
+
+        const result = await this.showDialog({
+            title: `Lengkapi Data ${sourceName}`,
+            wide: true,
+            content: `
+                <p class="import-summary">${incomplete.length} film belum memiliki genre atau sutradara. Lengkapi sebelum diimport, atau centang "Lewati".</p>
+                <div class="import-bulk">
+                    <input type="text" id="importFillGenre" list="importGenreOptions" placeholder="Genre untuk semua yang kosong">
+                    <input type="text" id="importFillDirector" list="importDirectorOptions" placeholder="Sutradara untuk semua yang kosong">
+                    <button type="button" class="action-btn" id="importFillApply">Isi yang kosong</button>
+                </div>
+                <div class="import-table-wrapper">
+                    <table class="import-table">
+                        <thead><tr><th>Film</th><th>Genre</th><th>Sutradara</th><th>Lewati</th></tr></thead>
+                        <tbody>${rowsHTML}</tbody>
+                    </table>
+                </div>
+                ${datalists}
+                <p class="form-error" id="importFillError"></p>
+            `,
+            actions: [
+                { label: 'Batal', value: null },
+                { label: 'Lanjut', value: 'next', className: 'submit-btn' }
+            ],
+            onOpen: (body) => {
+                body.querySelector('#importFillApply').addEventListener('click', () => {
+                    fields.forEach(field => {
+                        const id = field === 'genres' ? '#importFillGenre' : '#importFillDirector';
+                        const value = body.querySelector(id).value.trim();
+                        if (!value) return;
+                        body.querySelectorAll(`.import-fill[data-field="${field}"]`).forEach(input => {
+                            if (!input.value.trim()) input.value = value;
+                        });
+                    });
+                });
+            },
+            onAction: (value, body) => {
+                if (value !== 'next') return true;
+
+                let missing = 0;
+                body.querySelectorAll('tbody tr').forEach(tr => {
+                    const row = incomplete[parseInt(tr.dataset.index)];
+                    row.skip = tr.querySelector('.import-skip').checked;
+                    tr.querySelectorAll('.import-fill').forEach(input => {
+                        row[input.dataset.field] = input.dataset.field === 'genres'
+                            ? this.normalizeGenreList(input.value)
+                            : DatabaseManager.splitList(input.value);
+                    });
+                    if (!row.skip && fields.some(field => isEmpty(row[field]))) {
+                        missing++;
+                    }
+                });
+
+                if (missing > 0) {
+                    body.querySelector('#importFillError').textContent =
+                        `${missing} film masih belum lengkap. Isi genre dan sutradara, atau centang "Lewati".`;
+                    return false;
+                }
+                return true;
             }
+        });
 
-            // 4. SHOW LOADING STATE
-            this.setFormLoadingState(true);
+        if (result !== 'next') return null;
 
-            // 5. SAVE TO DATABASE
-            console.log('💾 Saving to database...');
-            await this.saveMovieToDB(movieData);
-            console.log('✅ Movie saved to database with ID:', movieData.id);
+        return rows.filter(row => !row.skip);
+    }
 
-            // 6. CRITICAL: Reload movies from database to update local array
-            console.log('📂 Reloading movies from database...');
-            await this.loadMovies();
-            console.log('📊 Total movies in local array:', this.movies.length);
-            console.log('🎬 Latest movie data:', this.movies[this.movies.length - 1]);
+    // Match CSV headers to movie fields by name ("Judul", "Tahun", "Sutradara" ...)
+    detectCsvMapping(headers) {
+        const mapping = {};
+        const normalizedHeaders = headers.map(header => SearchIndex.normalize(header).replace(/[^a-z0-9]+/g, ' ').trim());
 
-            // 7. Update UI components
-            this.updateGenreFilter();
+        Object.entries(this.csvHeaderAliases).forEach(([field, aliases]) => {
+            const column = normalizedHeaders.findIndex((header, i) =>
+                aliases.includes(header) && !Object.values(mapping).includes(i)
+            );
+            if (column !== -1) {
+                mapping[field] = column;
+            }
+        });
 
-            // 8. Use displayMovies directly with fresh data instead of filterAndDisplayMovies
-            console.log('🔄 Displaying fresh movie data...');
-            this.displayMovies(this.movies);
+        return mapping;
+    }
 
-            // 9. CLOSE MODAL AND RESET STATE
-            this.closeModal();
-            this.setFormLoadingState(false);
+    // Let the user confirm or change which column feeds each field
+    async openCsvMappingDialog(headers, dataRows) {
+        const mapping = this.detectCsvMapping(headers);
+        const required = ['title', 'year', 'genres', 'directors'];
+
+        const columnOptions = (selected) => [
+            `<option value="">— Abaikan —</option>`,
+            ...headers.map((header, i) =>
+                `<option value="${i}" ${i === selected ? 'selected' : ''}>${this.escapeHtml(header || `Kolom ${i + 1}`)}</option>`
+            )
+        ].join('');
+
+        const previewRows = dataRows.slice(0, 3);
+        const fieldsHTML = Object.entries(this.fieldLabels).map(([field, label]) => `
+            <tr>
+                <td>${label}${required.includes(field) ? ' *' : ''}</td>
+                <td><select class="csv-mapping" data-field="${field}">${columnOptions(mapping[field])}</select></td>
+                <td class="import-detail csv-sample" data-field="${field}"></td>
+            </tr>
+        `).join('');
+
+        const result = await this.showDialog({
+            title: 'Petakan Kolom CSV',
+            wide: true,
+            content: `
+                <p class="import-summary">${dataRows.length} baris ditemukan. Pilih kolom CSV untuk setiap data film.</p>
+                <div class="import-table-wrapper">
+                    <table class="import-table">
+                        <thead><tr><th>Data Film</th><th>Kolom CSV</th><th>Contoh</th></tr></thead>
+                        <tbody>${fieldsHTML}</tbody>
+                    </table>
+                </div>
+                <p class="form-error" id="csvMappingError"></p>
+            `,
+            actions: [
+                { label: 'Batal', value: null },
+                { label: 'Lanjut', value: 'next', className: 'submit-btn' }
+            ],
+            onOpen: (body) => {
+                // Show sample values of the chosen column
+                const updateSample = (select) => {
+                    const sample = body.querySelector(`.csv-sample[data-field="${select.dataset.field}"]`);
+                    const column = select.value === '' ? -1 : parseInt(select.value);
+                    sample.textContent = column === -1
+                        ? ''
+                        : previewRows.map(cells => cells[column] || '—').join(' · ');
+                };
+                body.querySelectorAll('.csv-mapping').forEach(select => {
+                    updateSample(select);
+                    select.addEventListener('change', () => updateSample(select));
+                });
+            },
+            onAction: (value, body) => {
+                if (value !== 'next') return true;
+
+                body.querySelectorAll('.csv-mapping').forEach(select => {
+                    if (select.value === '') {
+                        delete mapping[select.dataset.field];
+                    } else {
+                        mapping[select.dataset.field] = parseInt(select.value);
+                    }
+                });
 
-            // 10. Show success message
-            const successMessage = movieId ? 'Film berhasil diperbarui!' : 'Film berhasil ditambahkan!';
-            this.showNotification(successMessage, 'success');
-            console.log('🎉 Save movie completed successfully');
+                const missing = required.filter(field => mapping[field] === undefined);
+                if (missing.length > 0) {
+                    body.querySelector('#csvMappingError').textContent =
+                        `Kolom wajib belum dipilih: ${missing.map(field => this.fieldLabels[field]).join(', ')}`;
+                    return false;
+                }
+                return true;
+            }
+        });
 
-        } catch (error) {
-            console.error('❌ Error saving movie:', error);
-            this.setFormLoadingState(false);
+        return result === 'next' ? mapping : null;
+    }
 
-            // Show specific error messages in Indonesian
-            let errorMessage = 'Gagal menyimpan film';
-            if (error.name === 'ConstraintError') {
-                errorMessage = 'Film dengan ID ini sudah ada';
-            } else if (error.name === 'QuotaExceededError') {
-                errorMessage = 'Storage penuh, hapus beberapa film terlebih dahulu';
-            } else if (error.name === 'InvalidStateError') {
-                errorMessage = 'Database tidak tersedia, refresh halaman';
-            } else if (error.message) {
-                errorMessage = error.message;
+    // Build an import row from CSV cells using the column mapping
+    mapCsvRow(cells, mapping) {
+        const row = {};
+
+        Object.entries(mapping).forEach(([field, column]) => {
+            const value = (cells[column] ?? '').trim();
+
+            if (field === 'genres') {
+                row.genres = this.normalizeGenreList(value);
+            } else if (this.db.listFields.includes(field)) {
+                row[field] = DatabaseManager.splitList(value);
+            } else if (field === 'rewatch') {
+                row.rewatch = ['true', 'ya', 'yes', '1', 'y'].includes(value.toLowerCase());
+            } else if (field === 'rating') {
+                // Accept "8,5" from spreadsheets with a comma decimal separator
+                row.rating = value === '' ? null : value.replace(',', '.');
+            } else if (field === 'status') {
+                const status = value.toLowerCase();
+                if (this.statuses[status]) row.status = status;
+            } else {
+                row[field] = value;
             }
+        });
 
-            this.showNotification(errorMessage, 'error');
-        }
+        return row;
     }
 
-    // Edit movie
-    editMovie(id) {
-        const movie = this.movies.find(m => m.id === id);
-        if (movie) {
-            this.openModal(movie);
-        }
+    // Turn "Drama; Crime", "Drama|Crime" or "drama, crime" into ['Drama', 'Crime']
+    normalizeGenreList(value) {
+        const genres = Array.isArray(value) ? value : String(value || '').split(/[,;|/]/);
+        return DatabaseManager.splitList(genres)
+            .map(genre => genre.charAt(0).toUpperCase() + genre.slice(1));
     }
 
-    // Delete movie
-    async deleteMovie(id) {
-        if (confirm('Apakah Anda yakin ingin menghapus film ini?')) {
-            try {
-                await this.db.deleteMovie(id);
-                await this.loadMovies();
-                this.updateGenreFilter();
-                this.filterAndDisplayMovies();
-                this.showNotification('Film berhasil dihapus!', 'success');
-            } catch (error) {
-                console.error('Error deleting movie:', error);
-                this.showNotification('Failed to delete movie', 'error');
-            }
-        }
+    // Normalized title + year used to match movies that have different ids
+    getMovieMatchKey(movie) {
+        const title = SearchIndex.normalize(movie.title).replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+        return `${title}|${parseInt(movie.year) || ''}`;
     }
 
-    // Filter and display movies (using IndexedDB for better performance)
-    async filterAndDisplayMovies() {
-        try {
-            console.log('🔍 FilterAndDisplayMovies called');
-            const filters = {
-                search: this.searchQuery || undefined,
-                genre: this.currentFilter !== 'all' ? this.currentFilter : undefined
-            };
-
-            console.log('🎯 Filters applied:', filters);
-            const filtered = await this.db.searchMovies(filters);
-            console.log('📊 Filtered result:', filtered.length, 'movies');
-            this.displayMovies(filtered);
-        } catch (error) {
-            console.error('❌ Error filtering movies:', error);
-            // Fallback to client-side filtering
-            console.log('🔄 Using fallback filtering method');
-            this.filterAndDisplayMoviesFallback();
-        }
+    // Convert an import row to movie fields; only fields present in the row are kept
+    normalizeImportedMovie(row) {
+        const movie = {};
+        if (row.id !== undefined && row.id !== null && row.id !== '') movie.id = row.id;
+        if (row.title !== undefined) movie.title = String(row.title).trim();
+        if (row.year !== undefined) movie.year = parseInt(row.year);
+        // Files from before schema v2 carry genre and director as comma-joined strings
+        const genres = row.genres ?? row.genre;
+        const directors = row.directors ?? row.director;
+        if (genres !== undefined) movie.genres = DatabaseManager.splitList(genres);
+        if (directors !== undefined) movie.directors = DatabaseManager.splitList(directors);
+        if (row.cast !== undefined) movie.cast = DatabaseManager.splitList(row.cast);
+        if (row.tags !== undefined) movie.tags = DatabaseManager.splitList(row.tags);
+        ['original_title', 'language', 'country', 'imdb_id', 'tmdb_id'].forEach(field => {
+            if (row[field] !== undefined) movie[field] = String(row[field] ?? '').trim();
+        });
+        if (row.runtime !== undefined) movie.runtime = row.runtime === null || row.runtime === '' ? null : parseInt(row.runtime);
+        if (row.poster !== undefined) movie.poster = row.poster ? String(row.poster).trim() : null;
+        if (row.rating !== undefined) movie.rating = row.rating === null || row.rating === '' ? null : parseFloat(row.rating);
+        if (row.review !== undefined) movie.review = String(row.review || '').trim();
+        if (row.rewatch !== undefined) movie.rewatch = row.rewatch === true || row.rewatch === 'true';
+        if (row.status !== undefined && this.statuses[row.status]) movie.status = row.status;
+        if (row.created_at) movie.created_at = row.created_at;
+        return movie;
     }
 
-    // Fallback filtering method
-    filterAndDisplayMoviesFallback() {
-        console.log('🔄 Fallback filtering method called');
-        console.log('📋 Total movies available:', this.movies.length);
-        let filtered = this.movies;
+    // Classify import rows against the collection: new, changed, duplicate or invalid
+    async planImport(rows) {
+        const existingMovies = await this.db.getAllMovies();
+        const byId = new Map(existingMovies.map(movie => [movie.id, movie]));
+        const byKey = new Map(existingMovies.map(movie => [this.getMovieMatchKey(movie), movie]));
+        const seenKeys = new Set();
 
-        // Apply genre filter
-        if (this.currentFilter !== 'all') {
-            filtered = filtered.filter(movie =>
-                movie.genre.toLowerCase().includes(this.currentFilter.toLowerCase())
-            );
-            console.log('🎭 Genre filter applied, result:', filtered.length, 'movies');
-        }
+        return rows.map((row, index) => {
+            const entry = { index, row, incoming: null, existing: null, type: 'invalid', changes: [], reason: '', viewings: [] };
 
-        // Apply search filter
-        if (this.searchQuery) {
-            const query = this.searchQuery.toLowerCase();
-            filtered = filtered.filter(movie =>
-                movie.title.toLowerCase().includes(query) ||
-                movie.genre.toLowerCase().includes(query) ||
-                movie.director.toLowerCase().includes(query)
-            );
-            console.log('🔍 Search filter applied, result:', filtered.length, 'movies');
-        }
+            if (!row || typeof row !== 'object') {
+                entry.reason = 'Baris bukan data film';
+                return entry;
+            }
 
-        console.log('📊 Final filtered result:', filtered.length, 'movies');
-        this.displayMovies(filtered);
-    }
+            const incoming = this.normalizeImportedMovie(row);
+            entry.incoming = incoming;
+            // Watch dates from Letterboxd/IMDb exports are logged as viewings
+            entry.viewings = Array.isArray(row.viewings) ? row.viewings : [];
 
-    // Update genre filter buttons
-    updateGenreFilter() {
-        const genres = new Set();
-        genres.add('all');
+            const validation = this.validateMovieData(incoming);
+            if (!validation.isValid) {
+                entry.reason = validation.message;
+                return entry;
+            }
 
-        this.movies.forEach(movie => {
-            movie.genre.split(',').forEach(genre => {
-                genres.add(genre.trim());
-            });
-        });
+            const key = this.getMovieMatchKey(incoming);
+            const existing = (incoming.id !== undefined && byId.get(incoming.id)) || byKey.get(key);
 
-        const genreTagsContainer = document.getElementById('genreTags');
-        genreTagsContainer.innerHTML = Array.from(genres).map(genre =>
-            `<button class="genre-tag ${genre === this.currentFilter ? 'active' : ''}" data-genre="${genre}">${genre}</button>`
-        ).join('');
+            if (!existing) {
+                if (seenKeys.has(key)) {
+                    entry.type = 'duplicate';
+                    entry.reason = 'Muncul lebih dari sekali dalam file';
+                } else {
+                    entry.type = 'new';
+                }
+                seenKeys.add(key);
+                return entry;
+            }
 
-        // Add click listeners to genre tags
-        document.querySelectorAll('.genre-tag').forEach(tag => {
-            tag.addEventListener('click', () => {
-                this.currentFilter = tag.dataset.genre;
-                document.querySelectorAll('.genre-tag').forEach(t => t.classList.remove('active'));
-                tag.classList.add('active');
-                this.filterAndDisplayMovies();
-            });
+            seenKeys.add(key);
+            entry.existing = existing;
+            entry.changes = Object.keys(this.fieldLabels)
+                .filter(field => field in incoming && !this.isSameFieldValue(existing[field], incoming[field]))
+                .map(field => ({ field, from: existing[field], to: incoming[field] }));
+            entry.type = entry.changes.length > 0 ? 'changed' : 'duplicate';
+            return entry;
         });
     }
 
-    // Update movie count
-    updateMovieCount() {
-        const count = this.movies ? this.movies.length : 0;
-        const countElement = document.getElementById('movieCount');
-
-        if (countElement) {
-            // Indonesian pluralization
-            const text = count === 0 ? 'Belum ada film' :
-                         count === 1 ? '1 film' :
-                         `${count} film`;
-            countElement.textContent = text;
-        }
+    // Compare field values, treating empty values alike
+    isSameFieldValue(a, b) {
+        const empty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+        if (empty(a) && empty(b)) return true;
+        return String(this.joinList(a)).trim() === String(this.joinList(b)).trim();
     }
 
-    // Theme management (now using IndexedDB)
-    // Theme functions removed - Dark mode only
+    // Show the import diff table and apply the chosen resolution per row
+    async openImportWizard(rows, sourceName) {
+        const plan = await this.planImport(rows);
+        const counts = { new: 0, changed: 0, duplicate: 0, invalid: 0 };
+        plan.forEach(entry => counts[entry.type]++);
+
+        const typeLabels = {
+            new: 'Baru',
+            changed: 'Berubah',
+            duplicate: 'Duplikat',
+            invalid: 'Tidak valid'
+        };
+        const resolutionOptions = (selected) => [
+            ['mine', 'Pakai milik saya'],
+            ['theirs', 'Pakai dari file'],
+            ['both', 'Simpan keduanya']
+        ].map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('');
+
+        const formatValue = (value) => value === undefined || value === null || value === '' || Number.isNaN(value) ? '—' : this.escapeHtml(String(this.joinList(value)));
+        const rowsHTML = plan.map(entry => {
+            const title = entry.incoming && entry.incoming.title
+                ? `${this.escapeHtml(entry.incoming.title)} (${formatValue(entry.incoming.year)})`
+                : `Baris ${entry.index + 1}`;
+
+            let detail = '';
+            if (entry.type === 'changed') {
+                detail = entry.changes.map(change =>
+                    `<div><strong>${this.fieldLabels[change.field]}:</strong> ${formatValue(change.from)} → ${formatValue(change.to)}</div>`
+                ).join('');
+            } else if (entry.reason) {
+                detail = this.escapeHtml(entry.reason);
+            } else if (entry.type === 'duplicate') {
+                detail = 'Sama persis dengan film yang sudah ada';
+            }
+            if (entry.viewings.length > 0) {
+                detail += `<div>+${entry.viewings.length} tontonan</div>`;
+            }
 
-    // Import/Export functionality
-    async exportMovies() {
-        try {
-            if (this.movies.length === 0) {
-                this.showNotification('Tidak ada film untuk diekspor!', 'error');
-                return;
+            let action = '';
+            if (entry.type === 'new') {
+                action = 'Ditambahkan';
+            } else if (entry.type === 'invalid') {
+                action = 'Dilewati';
+            } else {
+                action = `<select class="import-resolution" data-index="${entry.index}">${resolutionOptions('mine')}</select>`;
             }
 
-            const dataStr = JSON.stringify(this.movies, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `movie-collection-${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            URL.revokeObjectURL(url);
+            return `
+                <tr class="import-row import-${entry.type}">
+                    <td><span class="import-badge import-badge-${entry.type}">${typeLabels[entry.type]}</span></td>
+                    <td>${title}</td>
+                    <td class="import-detail">${detail}</td>
+                    <td>${action}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const hasConflicts = counts.changed + counts.duplicate > 0;
+        const decision = await this.showDialog({
+            title: `Import: ${sourceName}`,
+            wide: true,
+            content: `
+                <p class="import-summary">
+                    ${counts.new} baru · ${counts.changed} berubah · ${counts.duplicate} duplikat · ${counts.invalid} tidak valid
+                </p>
+                ${hasConflicts ? `
+                    <div class="import-bulk">
+                        <label for="importResolveAll">Terapkan ke semua konflik:</label>
+                        <select id="importResolveAll">
+                            <option value="">—</option>
+                            ${resolutionOptions('')}
+                        </select>
+                    </div>
+                ` : ''}
+                <div class="import-table-wrapper">
+                    <table class="import-table">
+                        <thead><tr><th>Status</th><th>Film</th><th>Detail</th><th>Tindakan</th></tr></thead>
+                        <tbody>${rowsHTML}</tbody>
+                    </table>
+                </div>
+            `,
+            actions: [
+                { label: 'Batal', value: null },
+                { label: 'Import', value: 'import', className: 'submit-btn' }
+            ],
+            onOpen: (body) => {
+                const resolveAll = body.querySelector('#importResolveAll');
+                if (resolveAll) {
+                    resolveAll.addEventListener('change', () => {
+                        if (!resolveAll.value) return;
+                        body.querySelectorAll('.import-resolution').forEach(select => {
+                            select.value = resolveAll.value;
+                        });
+                    });
+                }
+            },
+            onAction: (value, body) => {
+                // Read the per-row choices before the dialog closes
+                if (value === 'import') {
+                    body.querySelectorAll('.import-resolution').forEach(select => {
+                        plan[parseInt(select.dataset.index)].resolution = select.value;
+                    });
+                }
+                return true;
+            }
+        });
 
-            this.showNotification('Koleksi film berhasil diekspor!', 'success');
+        if (decision !== 'import') return;
+
+        const progress = this.showProgress('Mengimport film');
+        try {
+            const report = await this.applyImportPlan(plan, (done, total) => progress.update(done, total));
+
+            await this.loadMovies();
+            this.updateGenreFilter();
+            this.filterAndDisplayMovies();
+
+            this.showImportReport(report);
         } catch (error) {
-            console.error('Error exporting movies:', error);
-            this.showNotification('Failed to export movies', 'error');
+            console.error('Import error:', error);
+            this.showNotification('Gagal mengimport film: ' + error.message + '. Tidak ada film yang diimport.', 'error');
+        } finally {
+            progress.close();
         }
     }
 
-    async importMovies(file) {
-        if (!file) return;
+    // Write the resolved import plan to the database in one bulk write and report what happened.
+    // Rows the movie schema rejects are skipped; if the write itself fails nothing is imported.
+    async applyImportPlan(plan, onProgress = null) {
+        const report = { added: [], updated: [], skipped: [], viewings: 0 };
+        // Before/after records for undoing the whole import as one step
+        const changes = { addedIds: [], before: [], after: [] };
+        const label = (movie) => `${movie.title} (${movie.year})`;
+        const operations = [];
+        const usedIds = new Set((await this.db.getAllMovies()).map(movie => movie.id));
+        const knownDates = new Map();
+        const now = new Date().toISOString();
+
+        for (const entry of plan) {
+            const { incoming, existing } = entry;
+
+            if (entry.type === 'invalid') {
+                report.skipped.push({ title: incoming && incoming.title ? label(incoming) : `Baris ${entry.index + 1}`, reason: entry.reason });
+                continue;
+            }
+
+            const resolution = entry.type === 'new' ? 'new' : (entry.resolution || 'mine');
 
-        const reader = new FileReader();
-        reader.onload = async (e) => {
             try {
-                const importedMovies = JSON.parse(e.target.result);
-                if (!Array.isArray(importedMovies)) {
-                    throw new Error('Invalid format');
+                if (resolution === 'mine' || (resolution === 'theirs' && !existing)) {
+                    report.skipped.push({ title: label(incoming), reason: entry.reason || 'Memakai data yang sudah ada' });
+
+                    // The film stays as it is, but new watch dates (a Letterboxd diary) are still logged
+                    if (existing) {
+                        const viewingOperations = await this.getImportViewingOperations(existing.id, entry.viewings, knownDates);
+                        operations.push(...viewingOperations);
+                        report.viewings += viewingOperations.length;
+                    }
+                } else if (resolution === 'theirs' && existing) {
+                    const updates = { ...incoming };
+                    delete updates.id;
+                    delete updates.created_at;
+                    const updated = this.db.checkMovieRecord({ ...existing, ...updates, updated_at: now });
+                    operations.push({ type: 'put', store: 'movies', value: updated });
+                    changes.before.push(existing);
+                    changes.after.push({ ...updated });
+                    const viewingOperations = await this.getImportViewingOperations(existing.id, entry.viewings, knownDates);
+                    operations.push(...viewingOperations);
+                    report.viewings += viewingOperations.length;
+                    report.updated.push({ title: label(incoming) });
+                } else {
+                    // New movie, or "keep both" which stores the incoming row as a separate movie.
+                    // Numeric ids from older exports are replaced like missing ones.
+                    const movie = { status: 'watched', ...incoming };
+                    if (resolution === 'both' || typeof movie.id !== 'string' || usedIds.has(movie.id)) {
+                        movie.id = this.generateMovieId();
+                    }
+                    operations.push({ type: 'add', store: 'movies', value: this.db.checkMovieRecord(movie) });
+                    usedIds.add(movie.id);
+                    changes.addedIds.push(movie.id);
+                    knownDates.set(movie.id, new Set());
+                    const viewingOperations = await this.getImportViewingOperations(movie.id, entry.viewings, knownDates);
+                    operations.push(...viewingOperations);
+                    report.viewings += viewingOperations.length;
+                    report.added.push({ title: label(incoming) });
                 }
+            } catch (error) {
+                console.error('Error importing movie:', incoming, error);
+                report.skipped.push({ title: label(incoming), reason: error.message });
+            }
+        }
 
-                // Validate and merge movies
-                const validMovies = importedMovies.filter(movie =>
-                    movie.title && movie.year && movie.genre && movie.director
-                );
+        await this.db.bulkWrite(operations, { source: 'import', onProgress });
+        this.pushImportUndo(changes);
+        return report;
+    }
 
-                if (validMovies.length === 0) {
-                    throw new Error('Tidak ada film valid dalam file');
-                }
+    // Undo an import: added movies go to the trash, updated ones get their old values back
+    pushImportUndo({ addedIds, before, after }) {
+        if (addedIds.length === 0 && before.length === 0) return;
+
+        let trashIds = [];
+        this.undoManager.push({
+            label: `Import ${addedIds.length + before.length} film`,
+            undo: async () => {
+                trashIds = addedIds.length ? await this.db.trashMovies(addedIds, { reason: 'import', source: 'undo' }) : [];
+                if (before.length) await this.db.putMovies(before, { source: 'undo' });
+            },
+            redo: async () => {
+                if (trashIds.length) await this.db.restoreFromTrash(trashIds, { source: 'undo' });
+                if (after.length) await this.db.putMovies(after, { source: 'undo' });
+            }
+        });
+    }
 
-                // Get existing movies to avoid duplicates
-                const existingMovies = await this.db.getAllMovies();
-                const existingIds = new Set(existingMovies.map(m => m.id));
-                const newMovies = validMovies.filter(m => !existingIds.has(m.id));
+    // Bulk write operations logging imported watch dates, skipping dates the movie already has.
+    // knownDates (movie id -> Set of dates) is shared by one import, so dates staged for
+    // an earlier row of the same film are skipped too.
+    async getImportViewingOperations(movieId, viewings, knownDates) {
+        if (viewings.length === 0) return [];
 
-                // Add new movies to database
-                let importedCount = 0;
-                for (const movie of newMovies) {
-                    try {
-                        await this.db.addMovie(movie);
-                        importedCount++;
-                    } catch (error) {
-                        console.error('Error importing movie:', movie, error);
-                    }
-                }
+        if (!knownDates.has(movieId)) {
+            knownDates.set(movieId, new Set((await this.db.getViewings(movieId)).map(viewing => viewing.watched_at)));
+        }
+        const known = knownDates.get(movieId);
+        const operations = [];
 
-                // Reload movies from database
-                await this.loadMovies();
-                this.updateGenreFilter();
-                this.filterAndDisplayMovies();
+        for (const viewing of viewings) {
+            if (!viewing.watched_at || known.has(viewing.watched_at)) continue;
+            operations.push({ type: 'add', store: 'viewings', value: this.db.createViewingRecord({ movie_id: movieId, ...viewing }) });
+            known.add(viewing.watched_at);
+        }
 
-                this.showNotification(`Berhasil mengimport ${importedCount} film baru!`, 'success');
-            } catch (error) {
-                console.error('Import error:', error);
-                this.showNotification('Gagal mengimport file. Pastikan format JSON benar!', 'error');
-            }
-        };
+        return operations;
+    }
 
-        reader.readAsText(file);
-        // Clear file input
-        document.getElementById('importFile').value = '';
+    // Show exactly what an import added, updated and skipped
+    showImportReport(report) {
+        const section = (title, items) => `
+            <h4 class="dialog-subtitle">${title} (${items.length})</h4>
+            ${items.length ? `<ul class="import-report-list">${items.map(item =>
+                `<li>${this.escapeHtml(item.title)}${item.reason ? ` <span class="import-reason">— ${this.escapeHtml(item.reason)}</span>` : ''}</li>`
+            ).join('')}</ul>` : ''}
+        `;
+
+        this.showDialog({
+            title: 'Hasil Import',
+            content: `
+                <p class="import-summary">${report.added.length} ditambahkan · ${report.updated.length} diperbarui · ${report.skipped.length} dilewati${report.viewings ? ` · ${report.viewings} tontonan dicatat` : ''}</p>
+                ${section('Ditambahkan', report.added)}
+                ${section('Diperbarui', report.updated)}
+                ${section('Dilewati', report.skipped)}
+            `
+        });
+    }
+
+    // Read a File as text
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
     }
 
     // Backup and restore functionality
     async createBackup() {
         try {
+            // Poster images make the file much larger, so they are optional
+            let includePosters = false;
+            const posterIds = await this.db.getPosterIds();
+            if (posterIds.length > 0) {
+                const choice = await this.showDialog({
+                    title: 'Buat Backup',
+                    content: `
+                        <p class="import-summary">${posterIds.length} poster tersimpan di perangkat ini.</p>
+                        <div class="form-group checkbox-group">
+                            <input type="checkbox" id="backupIncludePosters" checked>
+                            <label for="backupIncludePosters">Sertakan gambar poster (file backup lebih besar)</label>
+                        </div>
+                    `,
+                    actions: [
+                        { label: 'Batal', value: null },
+                        { label: 'Buat Backup', value: 'create', className: 'submit-btn' }
+                    ],
+                    onAction: (value, body) => {
+                        includePosters = body.querySelector('#backupIncludePosters').checked;
+                        return true;
+                    }
+                });
+                if (choice !== 'create') return;
+            }
+
+            const [movies, settings, viewings, lists] = await Promise.all([
+                this.db.getAllMovies(),
+                this.db.getAllSettings(),
+                this.db.getAllViewings(),
+                this.db.getAllLists()
+            ]);
+
             const backupData = {
-                version: '1.0',
+                version: this.backupVersion,
+                schemaVersion: this.db.dbVersion,
                 timestamp: new Date().toISOString(),
                 data: {
-                    movies: this.movies
+                    movies,
+                    settings,
+                    viewings,
+                    lists
                 }
             };
 
+            if (includePosters) {
+                const posters = await this.db.getAllPosters();
+                backupData.data.posters = await Promise.all(posters.map(async poster => ({
+                    movie_id: poster.movie_id,
+                    source: poster.source,
+                    updated_at: poster.updated_at,
+                    thumbnail: await this.blobToDataUrl(poster.thumbnail),
+                    full: await this.blobToDataUrl(poster.full)
+                })));
+            }
+
             const dataStr = JSON.stringify(backupData, null, 2);
             const dataBlob = new Blob([dataStr], { type: 'application/json' });
             const url = URL.createObjectURL(dataBlob);
@@ -1233,63 +7274,265 @@ class MovieManager {
         }
     }
 
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    dataUrlToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+        const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+        return new Blob([bytes], { type });
+    }
+
+    // Bring an older backup up to the current format, one version at a time
+    upgradeBackup(backupData) {
+        if (!backupData || typeof backupData !== 'object' || !backupData.data || !Array.isArray(backupData.data.movies)) {
+            throw new Error('Format backup tidak valid');
+        }
+
+        // Version 1 backups were written as the string '1.0'
+        let version = parseInt(backupData.version) || 1;
+        if (version > this.backupVersion) {
+            throw new Error(`Backup versi ${version} dibuat oleh versi aplikasi yang lebih baru`);
+        }
+
+        const upgraded = { ...backupData, data: { ...backupData.data } };
+
+        // v1 -> v2: settings become store records, viewings and schema version are added
+        if (version < 2) {
+            const settings = upgraded.data.settings;
+            upgraded.data.settings = Array.isArray(settings)
+                ? settings
+                : Object.entries(settings || {}).map(([key, value]) => ({ key, value }));
+            upgraded.data.viewings = upgraded.data.viewings || [];
+            upgraded.schemaVersion = upgraded.schemaVersion || 1;
+            version = 2;
+        }
+
+        // v2 -> v3: custom lists are backed up; null marks an older backup without them
+        if (version < 3) {
+            upgraded.data.lists = null;
+            version = 3;
+        }
+
+        // v3 -> v4: numeric movie ids become UUIDs, consistently across every record that refers to them
+        if (version < 4) {
+            const newIds = new Map();
+            const remap = (id) => {
+                if (typeof id !== 'number') return id;
+                if (!newIds.has(id)) newIds.set(id, this.generateMovieId());
+                return newIds.get(id);
+            };
+            const data = upgraded.data;
+            data.movies = data.movies.map(movie => ({ ...movie, id: remap(movie.id) }));
+            data.viewings = (data.viewings || []).map(viewing => ({ ...viewing, movie_id: remap(viewing.movie_id) }));
+            if (data.posters) {
+                data.posters = data.posters.map(poster => ({ ...poster, movie_id: remap(poster.movie_id) }));
+            }
+            if (data.lists) {
+                data.lists = data.lists.map(list => ({ ...list, movie_ids: (list.movie_ids || []).map(remap) }));
+            }
+            data.settings = data.settings.map(setting => setting.key === 'ignoredDuplicates'
+                ? { ...setting, value: (setting.value || []).map(key => key.split('|').map(part => /^\d+$/.test(part) ? remap(Number(part)) : part).sort().join('|')) }
+                : setting);
+            version = 4;
+        }
+
+        upgraded.version = version;
+        return upgraded;
+    }
+
     async restoreBackup(file) {
         if (!file) return;
 
-        const reader = new FileReader();
-        reader.onload = async (e) => {
-            try {
-                const backupData = JSON.parse(e.target.result);
+        // Clear file input so the same file can be picked again
+        document.getElementById('backupFile').value = '';
 
-                // Validate backup format
-                if (!backupData.data || !backupData.data.movies) {
-                    throw new Error('Invalid backup format');
-                }
+        let backupData;
+        try {
+            const original = JSON.parse(await this.readFileAsText(file));
+            backupData = this.upgradeBackup(original);
+            backupData.originalVersion = original.version || '1.0';
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showNotification(error instanceof SyntaxError
+                ? 'Gagal restore backup. Pastikan file valid!'
+                : `Gagal restore backup: ${error.message}`, 'error');
+            return;
+        }
 
-                // Clear existing data
-                await this.db.clearAll();
+        // Preview before anything is deleted
+        const { movies, settings, viewings, lists } = backupData.data;
+        const posters = Array.isArray(backupData.data.posters) ? backupData.data.posters : [];
+        const invalidMovies = movies.filter(movie => this.getMovieErrors(movie).length > 0).length;
+        const confirmed = await this.showDialog({
+            title: 'Restore Backup',
+            content: `
+                <table class="preview-table">
+                    <tr><th>File</th><td>${this.escapeHtml(file.name)}</td></tr>
+                    <tr><th>Tanggal backup</th><td>${backupData.timestamp ? this.escapeHtml(new Date(backupData.timestamp).toLocaleString('id-ID')) : '-'}</td></tr>
+                    <tr><th>Versi backup</th><td>${this.escapeHtml(String(backupData.originalVersion))}${String(backupData.originalVersion) !== String(this.backupVersion) ? ` (diperbarui ke v${this.backupVersion})` : ''}</td></tr>
+                    <tr><th>Versi skema</th><td>${backupData.schemaVersion}</td></tr>
+                    <tr><th>Film</th><td>${movies.length}${invalidMovies ? ` (${invalidMovies} tidak valid, dilewati)` : ''}</td></tr>
+                    <tr><th>Pengaturan</th><td>${settings.length}</td></tr>
+                    <tr><th>Catatan tontonan</th><td>${viewings.length}</td></tr>
+                    <tr><th>Gambar poster</th><td>${posters.length || 'Tidak disertakan'}</td></tr>
+                    <tr><th>Daftar</th><td>${lists ? lists.length : 'Tidak disertakan (daftar saat ini dipertahankan)'}</td></tr>
+                </table>
+                <p class="dialog-warning">⚠️ Koleksi saat ini (${this.movies.length} film) dipindahkan ke sampah dan diganti dengan isi backup${lists ? ', begitu juga daftar' : ''}. Restore bisa diurungkan.</p>
+            `,
+            actions: [
+                { label: 'Batal', value: false },
+                { label: 'Restore', value: true, className: 'delete-btn' }
+            ]
+        });
 
-                // Restore movies
-                const movies = backupData.data.movies;
-                for (const movie of movies) {
-                    try {
-                        await this.db.addMovie(movie);
-                    } catch (error) {
-                        console.error('Error restoring movie:', movie, error);
-                    }
-                }
+        if (!confirmed) return;
 
-                // Restore settings
-                if (backupData.data.settings) {
-                    const settings = backupData.data.settings;
-                    for (const [key, value] of Object.entries(settings)) {
-                        try {
-                            await this.db.saveSetting(key, value);
-                        } catch (error) {
-                            console.error('Error restoring setting:', key, value, error);
-                        }
-                    }
-                }
+        // Stage every record before anything is written. Movies that break the movie schema,
+        // repeated movie ids, incomplete viewings and unreadable posters are skipped.
+        const operations = ['settings', 'viewings', 'posters'].map(store => ({ type: 'clear', store }));
+        const restoredIds = [];
+        for (const movie of movies) {
+            try {
+                const record = this.db.checkMovieRecord({ ...movie });
+                record.id = record.id || this.generateMovieId();
+                if (restoredIds.includes(record.id)) throw new Error('Movie dengan ID ini sudah ada');
+                operations.push({ type: 'put', store: 'movies', value: record });
+                restoredIds.push(record.id);
+            } catch (error) {
+                console.error('Error restoring movie:', movie, error);
+            }
+        }
 
-                // Reload data
-                await this.loadMovies();
-                this.updateGenreFilter();
-                this.filterAndDisplayMovies();
+        // Viewings, posters and list places of skipped movies are skipped with them
+        const restoredIdSet = new Set(restoredIds);
 
-                this.showNotification(`Berhasil restore ${movies.length} film dan pengaturan!`, 'success');
+        const restoredAt = new Date().toISOString();
+        settings.forEach(({ key, value }) => {
+            operations.push({ type: 'put', store: 'settings', value: { key, value, updated_at: restoredAt } });
+        });
+
+        viewings.filter(viewing => restoredIdSet.has(viewing.movie_id)).forEach(viewing => {
+            try {
+                operations.push({ type: 'add', store: 'viewings', value: this.db.createViewingRecord(viewing) });
             } catch (error) {
-                console.error('Restore error:', error);
-                this.showNotification('Gagal restore backup. Pastikan file valid!', 'error');
+                console.error('Error restoring viewing:', viewing, error);
             }
-        };
+        });
 
-        reader.readAsText(file);
-        // Clear file input
-        document.getElementById('backupFile').value = '';
+        posters.filter(poster => restoredIdSet.has(poster.movie_id)).forEach(poster => {
+            try {
+                operations.push({ type: 'put', store: 'posters', value: this.db.createPosterRecord(poster.movie_id, {
+                    thumbnail: this.dataUrlToBlob(poster.thumbnail),
+                    full: this.dataUrlToBlob(poster.full),
+                    source: poster.source,
+                    updated_at: poster.updated_at
+                }) });
+            } catch (error) {
+                console.error('Error restoring poster:', poster.movie_id, error);
+            }
+        });
+
+        const progress = this.showProgress('Memulihkan backup');
+        const previousIds = this.movies.map(movie => movie.id);
+
+        try {
+            // Lists of the backup replace the current ones. Backups without lists keep the
+            // current lists, with the films whose ids come back from the backup.
+            const previousLists = await this.db.getAllLists();
+            if (lists) operations.push({ type: 'clear', store: 'lists' });
+            (lists || previousLists).forEach(list => {
+                operations.push({ type: 'put', store: 'lists', value: { ...list, movie_ids: (list.movie_ids || []).filter(id => restoredIdSet.has(id)) } });
+            });
+
+            // The current collection goes to the trash in the same bulk write, so a failure
+            // rolls its removal back together with the restored records
+            const previousSettings = await this.db.getAllSettings();
+            const trashOperations = await this.db.getTrashOperations(previousIds, { reason: 'restore' });
+            await this.db.bulkWrite([...trashOperations, ...operations], {
+                source: 'restore',
+                action: 'restore',
+                onProgress: (done, total) => progress.update(done, total)
+            });
+            let previousTrashIds = trashOperations.filter(operation => operation.store === 'trash').map(operation => operation.key);
+
+            // Undo swaps the restored collection and the previous one through the trash
+            const restoredSettings = await this.db.getAllSettings();
+            const restoredLists = await this.db.getAllLists();
+            let restoredTrashIds = [];
+            this.undoManager.push({
+                label: `Restore ${restoredIds.length} film`,
+                undo: async () => {
+                    restoredTrashIds = await this.db.trashMovies(restoredIds, { reason: 'restore', source: 'undo' });
+                    await this.db.restoreFromTrash(previousTrashIds, { source: 'undo' });
+                    await this.db.replaceSettings(previousSettings);
+                    await this.db.replaceLists(previousLists);
+                    await this.loadPreferences();
+                },
+                redo: async () => {
+                    previousTrashIds = await this.db.trashMovies(previousIds, { reason: 'restore', source: 'undo' });
+                    await this.db.restoreFromTrash(restoredTrashIds, { source: 'undo' });
+                    await this.db.replaceSettings(restoredSettings);
+                    await this.db.replaceLists(restoredLists);
+                    await this.loadPreferences();
+                }
+            });
+
+            // Reload data
+            await this.loadPreferences();
+            await this.loadMovies();
+            this.updateGenreFilter();
+            this.filterAndDisplayMovies();
+
+            const skipped = movies.length - restoredIds.length;
+            this.showUndoableNotification(
+                `Berhasil restore ${restoredIds.length} film dan pengaturan!` +
+                (skipped > 0 ? ` ${skipped} film tidak valid dilewati.` : '')
+            );
+        } catch (error) {
+            // The bulk write is rolled back, so the previous collection is untouched
+            console.error('Restore error:', error);
+            this.showNotification(`Gagal restore backup: ${error.message}` +
+                (error.rollbackFailed ? '' : '. Koleksi sebelumnya tidak berubah.'), 'error');
+        } finally {
+            progress.close();
+        }
+    }
+
+    // Progress bar for long bulk writes; update(done, total) moves it, close() removes it
+    showProgress(label) {
+        const element = document.createElement('div');
+        element.className = 'progress-toast';
+        element.innerHTML = `
+            <span class="progress-label"></span>
+            <progress class="progress-bar" max="1" value="0"></progress>
+        `;
+        const text = element.querySelector('.progress-label');
+        const bar = element.querySelector('.progress-bar');
+        text.textContent = `${label}...`;
+        document.body.appendChild(element);
+
+        return {
+            update: (done, total) => {
+                bar.max = total;
+                bar.value = done;
+                text.textContent = `${label}... ${Math.round(done / total * 100)}%`;
+            },
+            close: () => element.remove()
+        };
     }
 
     // Show notification
-    showNotification(message, type = 'success') {
+    // options.action adds a button ({ label, onClick }); options.duration 0 keeps the toast until it is used
+    showNotification(message, type = 'success', options = {}) {
+        const { action = null, duration = action ? 6000 : 3000 } = options;
         const notification = document.createElement('div');
         notification.className = `notification ${type}`;
         notification.textContent = message;
@@ -1306,14 +7549,35 @@ class MovieManager {
             animation: slideIn 0.3s ease;
         `;
 
-        document.body.appendChild(notification);
-
-        setTimeout(() => {
+        let dismissed = false;
+        const dismiss = () => {
+            if (dismissed) return;
+            dismissed = true;
             notification.style.animation = 'slideOut 0.3s ease';
             setTimeout(() => {
-                document.body.removeChild(notification);
+                notification.remove();
             }, 300);
-        }, 3000);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                dismiss();
+                action.onClick();
+            });
+            notification.appendChild(button);
+        }
+
+        document.body.appendChild(notification);
+
+        if (duration > 0) {
+            setTimeout(dismiss, duration);
+        }
+
+        return { dismiss };
     }
 }
 
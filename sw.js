@@ -0,0 +1,161 @@
+// Service worker: offline app shell and a size-capped poster cache
+
+// Bump when the list of shell files changes
+const SHELL_CACHE = 'movie-shell-v1';
+const POSTER_CACHE = 'movie-posters-v1';
+const POSTER_CACHE_LIMIT = 200;
+// Opaque (no-CORS) responses count as several MB each against the storage quota
+const OPAQUE_POSTER_CACHE = 'movie-posters-opaque-v1';
+const OPAQUE_POSTER_CACHE_LIMIT = 20;
+
+// Hosts whose poster URLs the app tags with "t=<timestamp>" (addProxyIfNeeded in script.js)
+const TAGGED_POSTER_HOSTS = ['amazon.com', 'imdb.com', 'facebook.com', 'instagram.com', 'twitter.com'];
+
+const SHELL_FILES = [
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'metadata-fixtures.json'
+];
+
+// Files whose change means a new app version is deployed
+const VERSIONED_FILES = ['index.html', 'script.js', 'style.css'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache =>
+            // Bypass the HTTP cache so the precache holds the deployed files
+            cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => ![SHELL_CACHE, POSTER_CACHE, OPAQUE_POSTER_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over after the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin && (request.mode === 'navigate' || isShellFile(url))) {
+        event.respondWith(serveShell(event, request));
+    } else if (request.destination === 'image' && url.protocol.startsWith('http')) {
+        event.respondWith(servePoster(event, request));
+    }
+});
+
+// Path of a same-origin request relative to the worker scope ('' for the start page, served as index.html)
+function shellPath(url) {
+    const scope = new URL(self.registration.scope);
+    return url.pathname.slice(scope.pathname.length);
+}
+
+function isShellFile(url) {
+    return SHELL_FILES.includes(shellPath(url));
+}
+
+// Shell files: answer from the cache, then check the network for a new version
+async function serveShell(event, request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const path = request.mode === 'navigate' ? 'index.html' : shellPath(new URL(request.url)) || 'index.html';
+    const cached = await cache.match(path);
+
+    const update = revalidateShellFile(cache, path);
+    event.waitUntil(update.catch(() => {}));
+
+    return cached || update;
+}
+
+// Refresh one shell file and tell the open tabs when its content changed
+async function revalidateShellFile(cache, path) {
+    const response = await fetch(new Request(path, { cache: 'no-cache' }));
+    if (!response.ok) {
+        return response;
+    }
+
+    const cached = await cache.match(path);
+    const [newText, oldText] = await Promise.all([
+        response.clone().text(),
+        cached ? cached.text() : Promise.resolve(null)
+    ]);
+
+    if (newText !== oldText) {
+        await cache.put(path, response.clone());
+
+        if (oldText !== null && VERSIONED_FILES.includes(path)) {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach(client => client.postMessage({ type: 'shell-updated', file: path }));
+        }
+    }
+
+    return response;
+}
+
+// The app appends "t=<timestamp>" to poster URLs of a few hosts; cache those under one key.
+// Other URLs keep every parameter, since "t" can be part of what identifies the image.
+function posterCacheKey(request) {
+    const url = new URL(request.url);
+    const tagged = TAGGED_POSTER_HOSTS.some(host => url.hostname.includes(host));
+    if (tagged && /^\d{13}$/.test(url.searchParams.get('t') || '')) {
+        url.searchParams.delete('t');
+    }
+    return url.toString();
+}
+
+// Posters: stale-while-revalidate, keeping at most POSTER_CACHE_LIMIT CORS images
+// and OPAQUE_POSTER_CACHE_LIMIT opaque ones
+async function servePoster(event, request) {
+    const cache = await caches.open(POSTER_CACHE);
+    const opaqueCache = await caches.open(OPAQUE_POSTER_CACHE);
+    const key = posterCacheKey(request);
+    const cached = (await cache.match(key)) || (await opaqueCache.match(key));
+
+    const update = fetch(request)
+        .then(async response => {
+            if (response.ok) {
+                await cache.put(key, response.clone());
+                await opaqueCache.delete(key);
+                await trimCache(cache, POSTER_CACHE_LIMIT);
+            } else if (response.type === 'opaque') {
+                // Cross-origin <img> requests without CORS are still usable, but only a few are kept
+                await opaqueCache.put(key, response.clone());
+                await trimCache(opaqueCache, OPAQUE_POSTER_CACHE_LIMIT);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Delete the oldest entries (cache keys keep insertion order) above the limit
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    const excess = keys.length - limit;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}